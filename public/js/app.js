@@ -5,6 +5,32 @@ const API_URLS = {
     weapon: 'https://stat.ink/api/v3/weapon'
 };
 
+// Data sources - each one provides the raw item list for a data type
+// Items must follow the stat.ink shape ({ key, name: { ja_JP, ... }, ... })
+const DATA_SOURCES = {
+    statink: {
+        labelKey: 'dataSource.statink',
+        fetchType: type => fetchFromAPI(API_URLS[type])
+    },
+    local: {
+        labelKey: 'dataSource.local',
+        fetchType: type => fetchFromImportedData(type)
+    }
+};
+const DEFAULT_DATA_SOURCE = 'statink';
+const DATA_SOURCE_KEY = 'spla-data-source';
+const IMPORTED_DATA_KEY = 'spla-imported-data';
+
+// UI languages - locale is the stat.ink name key used for item names
+const LANGUAGES = {
+    ja: { label: '日本語', locale: 'ja_JP', tag: 'ja-JP' },
+    en: { label: 'English', locale: 'en_US', tag: 'en-US' }
+};
+const DEFAULT_LANGUAGE = 'ja';
+const LANGUAGE_KEY = 'spla-language';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
 // Cache keys
 const CACHE_KEYS = {
     rule: 'spla-rules',
@@ -13,6 +39,29 @@ const CACHE_KEYS = {
     selectedItems: 'spla-selected-items'
 };
 
+// Cache schema version - bump when the cached entry format changes
+const CACHE_SCHEMA_VERSION = 2;
+
+// Max age of cached master data before it is revalidated in the background
+const CACHE_MAX_AGE_KEY = 'spla-cache-max-age';
+const DEFAULT_CACHE_MAX_AGE = 24 * 60 * 60 * 1000; // 1 day
+
+// Fetch settings
+const FETCH_TIMEOUT = 10000; // ms per attempt
+const FETCH_MAX_RETRIES = 2;
+const FETCH_RETRY_BASE_DELAY = 1000; // ms, doubled on each retry
+
+// Retry interval while running on the bundled fallback data
+const FALLBACK_RETRY_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Data types and their keys in the data object
+const DATA_TYPES = ['rule', 'stage', 'weapon'];
+const DATA_KEYS = {
+    rule: 'rules',
+    stage: 'stages',
+    weapon: 'weapons'
+};
+
 // Data storage
 let data = {
     rules: [],
@@ -20,12 +69,17 @@ let data = {
     weapons: []
 };
 
-// Excluded items
-const EXCLUDED_ITEMS = {
-    rule: ['tricolor'],
-    stage: ['grand_arena']
+// Per-endpoint status of the data currently in use
+// fetchedAt: ms since epoch (0 if unknown), error: message of the last failed fetch,
+// bundled: true while the bundled fallback data is in use
+let dataStatus = {
+    rule: { fetchedAt: 0, error: null, bundled: false },
+    stage: { fetchedAt: 0, error: null, bundled: false },
+    weapon: { fetchedAt: 0, error: null, bundled: false }
 };
 
+let fallbackRetryTimer = null;
+
 // UI state - selected items for roulette (all selected by default)
 let selectedItems = {
     rule: [],
@@ -34,7 +88,12 @@ let selectedItems = {
 };
 
 let currentResults = {};
-let currentTeams = {}; // { memberId: 'alpha' | 'bravo' }
+// Result keys ('common-rule', 'common-stage', '{memberId}-weapon') kept on re-rolls
+let lockedResults = new Set();
+
+// Random source for roulette and team division; replaced by a seeded one during a roll
+let currentRandom = Math.random;
+let currentTeams = {}; // { memberId: teamId } (see getTeamId)
 
 // Button visibility state - snapshots of saved state
 let memberStateSnapshot = {};
@@ -47,12 +106,211 @@ let tempFilterSelections = {
     weapon: []
 };
 
+// Weapon filter grouping - attribute of the weapon item used to group the list
+const WEAPON_GROUPINGS = ['type', 'sub', 'special'];
+const WEAPON_GROUPING_KEY = 'spla-weapon-grouping';
+
+// What to do with items that appeared since the selection was saved
+const NEW_ITEM_POLICY_KEY = 'spla-new-item-policy';
+const NEW_ITEM_POLICIES = ['include', 'exclude'];
+const DEFAULT_NEW_ITEM_POLICY = 'include';
+
+// Added/removed items waiting to be acknowledged in the notice
+const ITEM_CHANGES_KEY = 'spla-item-changes';
+
+// Weapon duplicate handling within one roll
+// none: duplicates allowed, lobby: unique across all members, team: unique within each team
+const WEAPON_DUPLICATE_MODES = ['none', 'lobby', 'team'];
+const WEAPON_DUPLICATE_MODE_KEY = 'spla-weapon-duplicate-mode';
+
+// Team weapon balance
+const TEAM_BALANCE_ENABLED_KEY = 'spla-team-balance-enabled';
+const TEAM_BALANCE_RULES_KEY = 'spla-team-balance-rules';
+const TEAM_BALANCE_ATTEMPTS = 300;
+
+// Range of each weapon class; an item's own "range" field (e.g. in imported data) takes precedence
+const WEAPON_RANGES = ['short', 'mid', 'long'];
+const WEAPON_CLASS_RANGES = {
+    shooter: 'mid',
+    blaster: 'mid',
+    reelgun: 'mid',
+    roller: 'short',
+    brush: 'short',
+    charger: 'long',
+    slosher: 'mid',
+    spinner: 'long',
+    maneuver: 'short',
+    brella: 'short',
+    stringer: 'long',
+    wiper: 'short'
+};
+
+// Rules: kind 'max' | 'min', count per team, target 'class:<type key>' | 'range:<range>'
+const DEFAULT_TEAM_BALANCE_RULES = [
+    { kind: 'max', count: 1, target: 'class:charger' },
+    { kind: 'min', count: 1, target: 'range:short' }
+];
+
+// Per-item weights for the roulette
+const WEIGHTS_ENABLED_KEY = 'spla-weights-enabled';
+const ITEM_WEIGHTS_KEY = 'spla-item-weights';
+const WEIGHT_OPTIONS = [0.25, 0.5, 1, 2, 3];
+
+// Anti-repeat: lower the odds of (soft) or exclude (strict) recently picked items
+const ANTI_REPEAT_MODE_KEY = 'spla-anti-repeat-mode';
+const ANTI_REPEAT_COUNT_KEY = 'spla-anti-repeat-count';
+const ANTI_REPEAT_MODES = ['off', 'soft', 'strict'];
+const DEFAULT_ANTI_REPEAT_COUNT = 3;
+const ANTI_REPEAT_SOFT_FACTOR = 0.25;
+
+// Recently picked keys, most recent first: { rule: [], stage: [], weapon: { memberId: [] } }
+const RECENT_PICKS_KEY = 'spla-recent-picks';
+const RECENT_PICKS_LIMIT = 20;
+
+// Bag mode: each member draws every selected weapon once before any repeats
+const BAG_MODE_KEY = 'spla-bag-mode';
+const WEAPON_BAGS_KEY = 'spla-weapon-bags'; // { memberId: [drawn weapon keys] }
+
+// Per-member weapon pools: { memberId: { mode: 'narrow' | 'override', weapons: [keys] } }
+// 'narrow' keeps only the global selection's weapons that are in the pool,
+// 'override' ignores the global selection. Members without a pool use the global one.
+const MEMBER_WEAPON_POOLS_KEY = 'spla-member-weapon-pools';
+const MEMBER_POOL_MODES = ['global', 'narrow', 'override'];
+
+// Member whose weapon pool is being edited
+let editingPoolMemberId = null;
+
+// Rating-balanced team division: picks randomly among splits whose
+// rating totals differ by at most the tolerance
+const RATING_BALANCE_KEY = 'spla-rating-balance';
+const RATING_TOLERANCE_KEY = 'spla-rating-tolerance';
+
+// Pairing constraints for team division: [{ type: 'together' | 'apart', members: [memberId, memberId] }]
+const PAIR_CONSTRAINTS_KEY = 'spla-pair-constraints';
+const PAIR_CONSTRAINT_TYPES = ['together', 'apart'];
+
+// Team division into N teams. The first teams have names and fixed colors;
+// teams beyond them are numbered and get generated colors.
+const TEAM_IDS = ['alpha', 'bravo', 'charlie', 'delta'];
+const TEAM_COLORS = {
+    alpha: '#0066cc',
+    bravo: '#ffaa00',
+    charlie: '#2e9e4f',
+    delta: '#c2338e'
+};
+const TEAM_COUNT_KEY = 'spla-team-count';
+const DEFAULT_TEAM_COUNT = 2;
+const MAX_TEAM_COUNT = 8;
+
+// Every split that satisfies the pairing constraints is listed up to this many;
+// above it random splits are sampled instead
+const SPLIT_ENUMERATION_LIMIT = 5000;
+const SPLIT_SAMPLE_COUNT = 2000;
+
+// Tricolor Turf War: rolled with three teams on a tricolor-capable stage
+const TRICOLOR_RULE = 'tricolor';
+const TRICOLOR_TEAM_COUNT = 3;
+const TRICOLOR_STAGES_KEY = 'spla-tricolor-stages';
+const DEFAULT_TRICOLOR_STAGES = ['grand_arena'];
+const TRICOLOR_ONLY_STAGES = ['grand_arena']; // Not rolled for other rules
+
+// Member roster: [{ id, name, rating, attending }]
+// Members are identified by a stable ID. Attending members play, except
+// for those sitting out (spectating) when there are more than the player slots.
+const ROSTER_KEY = 'spla-roster';
+const MAX_PLAYERS = 16;
+const DEFAULT_PLAYERS_PER_ROUND = 8;
+const PLAYERS_PER_ROUND_KEY = 'spla-players-per-round';
+
+let roster = []; // Confirmed roster
+let rosterDraft = []; // Roster being edited in the member section
+let pairConstraintsDraft = []; // Pairing constraints being edited, saved with the roster
+
+// Sit-out rotation: { cycle: [IDs who sat out in the current cycle], current: [IDs sitting out now] }
+// Nobody sits out twice before every attending member has sat out once.
+const SIT_OUT_STATE_KEY = 'spla-sit-out-state';
+let currentSpectators = [];
+
+// Match history: [{ id, timestamp, seed, rule, stage, members: [{ id, name, team, weapon }], winner }]
+// Items are stored by key. Only the newest entries are kept.
+const MATCH_HISTORY_KEY = 'spla-match-history';
+const MAX_HISTORY_ENTRIES = 300;
+const HISTORY_PAGE_SIZE = 20;
+
+let currentHistoryEntryId = null; // History entry of the results on screen
+let historyDisplayCount = HISTORY_PAGE_SIZE;
+let editingHistoryEntryId = null; // History entry whose details are being edited
+let statsSort = { key: null, direction: -1 }; // Sort column of the statistics table
+
+// History export: JSON with stable keys and localized names, or CSV with one row per member
+const HISTORY_EXPORT_FORMAT = 'spla-match-history';
+const HISTORY_EXPORT_VERSION = 1;
+const HISTORY_CSV_COLUMNS = [
+    'entry_id', 'timestamp', 'seed', 'rule_key', 'rule_name', 'stage_key', 'stage_name',
+    'winner_team', 'winner_name', 'member_id', 'member_name', 'team_key', 'team_name',
+    'weapon_key', 'weapon_name', 'result'
+];
+
+// Shared result links: #share=<URL-safe base64 of the result JSON>
+const SHARE_HASH_PREFIX = 'share=';
+const SHARE_FORMAT_VERSION = 1;
+const SHARE_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SHARE_MAX_MEMBERS = 32;
+const SHARE_MAX_NAME_LENGTH = 50;
+
+let sharedResult = null; // Shared result shown from the URL hash, if any
+
+// Result image card (PNG): { seed: include the seed, timestamp: include the time }
+const IMAGE_OPTIONS_KEY = 'spla-image-options';
+const DEFAULT_IMAGE_OPTIONS = { seed: true, timestamp: true };
+const IMAGE_LAYOUT = { width: 960, padding: 32, gap: 16, rowHeight: 56, teamHeaderHeight: 36 };
+const IMAGE_SCALE = 2; // Drawn at double resolution for sharp text
+
+// Current search query for each filter list
+let filterSearchQueries = {
+    rule: '',
+    stage: '',
+    weapon: ''
+};
+
+// Kana to romaji (Hepburn) table for search - two-character combinations first
+const KANA_ROMAJI = {
+    'きゃ': 'kya', 'きゅ': 'kyu', 'きょ': 'kyo', 'しゃ': 'sha', 'しゅ': 'shu', 'しょ': 'sho',
+    'ちゃ': 'cha', 'ちゅ': 'chu', 'ちょ': 'cho', 'にゃ': 'nya', 'にゅ': 'nyu', 'にょ': 'nyo',
+    'ひゃ': 'hya', 'ひゅ': 'hyu', 'ひょ': 'hyo', 'みゃ': 'mya', 'みゅ': 'myu', 'みょ': 'myo',
+    'りゃ': 'rya', 'りゅ': 'ryu', 'りょ': 'ryo', 'ぎゃ': 'gya', 'ぎゅ': 'gyu', 'ぎょ': 'gyo',
+    'じゃ': 'ja', 'じゅ': 'ju', 'じょ': 'jo', 'びゃ': 'bya', 'びゅ': 'byu', 'びょ': 'byo',
+    'ぴゃ': 'pya', 'ぴゅ': 'pyu', 'ぴょ': 'pyo', 'しぇ': 'she', 'じぇ': 'je', 'ちぇ': 'che',
+    'ふぁ': 'fa', 'ふぃ': 'fi', 'ふぇ': 'fe', 'ふぉ': 'fo', 'てぃ': 'ti', 'でぃ': 'di',
+    'でゅ': 'dyu', 'うぃ': 'wi', 'うぇ': 'we', 'うぉ': 'wo', 'ゔぁ': 'va', 'ゔぃ': 'vi',
+    'ゔぇ': 've', 'ゔぉ': 'vo',
+    'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+    'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+    'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+    'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+    'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+    'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+    'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+    'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+    'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+    'わ': 'wa', 'を': 'o', 'ん': 'n',
+    'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+    'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+    'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+    'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+    'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+    'ゔ': 'vu', 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o',
+    'ゃ': 'ya', 'ゅ': 'yu', 'ょ': 'yo'
+};
+
 // Cache key for section states
 const SECTION_STATES_KEY = 'spla-section-states';
 const FILTER_SECTION_STATE_KEY = 'spla-filter-section-state';
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
+    initializeLanguage();
+
     // Set copyright year
     const currentYear = new Date().getFullYear();
     const copyrightElement = document.getElementById('copyright');
@@ -60,15 +318,9 @@ document.addEventListener('DOMContentLoaded', () => {
         copyrightElement.textContent = `©${currentYear} s_at_ki`;
     }
 
-    // Load saved member count
-    const savedMemberCount = localStorage.getItem('memberCount');
-    if (savedMemberCount) {
-        document.getElementById('memberCount').value = savedMemberCount;
-    }
-
     initializeSectionToggle();
     initializeFilterSectionToggle();
-    initializeMemberNames();
+    initializeMemberRoster();
 
     // Load saved team division checkbox state
     const savedTeamDivisionState = localStorage.getItem('teamDivisionToggle');
@@ -77,10 +329,24 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     initializeTeamDivisionCheckbox();
-    document.getElementById('memberCount').addEventListener('change', () => {
-        initializeMemberNames();
-        checkMemberChanges();
-    });
+    initializeCacheMaxAgeSelect();
+    initializeDataSourceSettings();
+    initializeWeaponGroupingSelect();
+    initializeFilterSearch();
+    initializeNewItemPolicySelects();
+    initializeWeaponDuplicateModeSelect();
+    initializeTeamBalanceSettings();
+    initializeWeightSettings();
+    initializeBagMode();
+    initializeRatingBalanceSettings();
+    initializePlayersPerRoundSelect();
+    initializeTeamCountSelect();
+    initializeStatistics();
+    initializeHistoryImport();
+    initializeImageOptions();
+    applySharedResultFromHash();
+    window.addEventListener('hashchange', applySharedResultFromHash);
+    updateSpectatorList();
     loadDataFromCacheOrAPI();
 });
 
@@ -93,26 +359,52 @@ async function loadDataFromCacheOrAPI() {
     try {
         // Try loading from cache
         const cached = loadFromCache();
+        DATA_TYPES.forEach(type => {
+            data[DATA_KEYS[type]] = cached.data[DATA_KEYS[type]];
+            dataStatus[type] = { fetchedAt: cached.fetchedAt[type], error: null, bundled: false };
+        });
 
-        if (cached.rules.length > 0 && cached.stages.length > 0 && cached.weapons.length > 0) {
-            data = cached;
+        const usedCache = hasAllData();
+        if (usedCache) {
             initializeUI();
         } else {
-            // Fetch from API
-            await fetchAndCacheData();
+            // Fetch from API (cached endpoints are kept if their fetch fails)
+            try {
+                await fetchAndCacheData();
+            } catch (error) {
+                // Neither cache nor API has the data: fall back to the bundled snapshot
+                if (!applyFallbackData()) throw error;
+                console.warn('Using bundled fallback data:', error);
+            }
             initializeUI();
         }
+        updateDataStatus();
 
         // Initialize button visibility and attach event listeners
         initializeButtonVisibility();
+
+        // Revalidate old cache without blocking the UI
+        if (usedCache && DATA_TYPES.some(type => isCacheStale(dataStatus[type].fetchedAt))) {
+            revalidateDataInBackground();
+        }
+
+        // Switch to live data as soon as the network comes back
+        window.addEventListener('online', () => {
+            if (isUsingFallbackData()) {
+                revalidateDataInBackground();
+            }
+        });
+        scheduleFallbackRetry();
     } catch (error) {
         console.error('Error loading data:', error);
-        updateLoadingStatus('エラー: データを読み込めません');
+        updateDataStatus();
+        updateLoadingStatus(t('status.loadError'));
     }
 }
 
 /**
  * Load data from localStorage cache
+ * Returns the cached data and the fetch time of each entry
  */
 function loadFromCache() {
     const cached = {
@@ -120,77 +412,472 @@ function loadFromCache() {
         stages: [],
         weapons: []
     };
+    const fetchedAt = {
+        rule: 0,
+        stage: 0,
+        weapon: 0
+    };
+
+    const sourceId = getActiveDataSourceId();
+
+    DATA_TYPES.forEach(type => {
+        const entry = readCacheEntry(getCacheKey(type, sourceId));
+        // Ignore data cached from another source
+        if (entry && entry.source === sourceId) {
+            cached[DATA_KEYS[type]] = entry.items;
+            fetchedAt[type] = entry.fetchedAt;
+        }
+    });
+
+    return { data: cached, fetchedAt: fetchedAt };
+}
+
+/**
+ * Get the cache key of a data type for a data source
+ * Each source has its own entries, so that importing a file keeps the
+ * data cached from stat.ink (which uses the plain keys).
+ */
+function getCacheKey(type, sourceId) {
+    return sourceId === DEFAULT_DATA_SOURCE ? CACHE_KEYS[type] : `${CACHE_KEYS[type]}-${sourceId}`;
+}
+
+/**
+ * Read a versioned cache entry
+ * Legacy entries (plain arrays) are migrated; malformed entries are removed
+ */
+function readCacheEntry(key) {
+    const raw = localStorage.getItem(key);
+    if (!raw) return null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        console.error(`Error parsing cached data (${key}):`, error);
+        localStorage.removeItem(key);
+        return null;
+    }
+
+    // Legacy format: the item array itself, without fetch time
+    if (Array.isArray(parsed)) {
+        if (!isValidItemList(parsed)) {
+            localStorage.removeItem(key);
+            return null;
+        }
+        writeCacheEntry(key, parsed, 0, DEFAULT_DATA_SOURCE);
+        return { items: parsed, fetchedAt: 0, source: DEFAULT_DATA_SOURCE };
+    }
+
+    if (!parsed || parsed.version !== CACHE_SCHEMA_VERSION ||
+        typeof parsed.fetchedAt !== 'number' || !isValidItemList(parsed.items)) {
+        console.warn(`Discarding incompatible cache entry: ${key}`);
+        localStorage.removeItem(key);
+        return null;
+    }
 
-    const ruleCache = localStorage.getItem(CACHE_KEYS.rule);
-    const stageCache = localStorage.getItem(CACHE_KEYS.stage);
-    const weaponCache = localStorage.getItem(CACHE_KEYS.weapon);
+    return {
+        items: parsed.items,
+        fetchedAt: parsed.fetchedAt,
+        source: parsed.source || DEFAULT_DATA_SOURCE
+    };
+}
 
+/**
+ * Write a versioned cache entry
+ */
+function writeCacheEntry(key, items, fetchedAt, source) {
     try {
-        if (ruleCache) cached.rules = JSON.parse(ruleCache);
-        if (stageCache) cached.stages = JSON.parse(stageCache);
-        if (weaponCache) cached.weapons = JSON.parse(weaponCache);
+        localStorage.setItem(key, JSON.stringify({
+            version: CACHE_SCHEMA_VERSION,
+            fetchedAt: fetchedAt,
+            source: source,
+            items: items
+        }));
     } catch (error) {
-        console.error('Error parsing cached data:', error);
+        console.error(`Error writing cache entry (${key}):`, error);
     }
+}
 
-    return cached;
+/**
+ * Check that a value is a list of items with string keys
+ */
+function isValidItemList(items) {
+    return Array.isArray(items) && items.every(item =>
+        item && typeof item === 'object' && typeof item.key === 'string'
+    );
 }
 
 /**
- * Fetch data from API and cache it
+ * Get the configured cache max age in milliseconds (0 = never revalidate)
  */
-async function fetchAndCacheData() {
+function getCacheMaxAge() {
+    const saved = parseInt(localStorage.getItem(CACHE_MAX_AGE_KEY));
+    return isNaN(saved) || saved < 0 ? DEFAULT_CACHE_MAX_AGE : saved;
+}
+
+/**
+ * Check if data fetched at the given time should be revalidated
+ */
+function isCacheStale(fetchedAt) {
+    const maxAge = getCacheMaxAge();
+    if (maxAge === 0) return false;
+    return Date.now() - fetchedAt > maxAge;
+}
+
+/**
+ * Check if every data type has at least one item
+ */
+function hasAllData() {
+    return DATA_TYPES.every(type => data[DATA_KEYS[type]].length > 0);
+}
+
+/**
+ * Fill every type that has no data with the bundled fallback data
+ * Returns true if all types have data afterwards
+ */
+function applyFallbackData() {
+    if (typeof FALLBACK_DATA === 'undefined') return false;
+
+    DATA_TYPES.forEach(type => {
+        if (data[DATA_KEYS[type]].length > 0) return;
+
+        data[DATA_KEYS[type]] = [...(FALLBACK_DATA[DATA_KEYS[type]] || [])];
+        dataStatus[type].bundled = true;
+    });
+
+    return hasAllData();
+}
+
+/**
+ * Check if any type is running on the bundled fallback data
+ */
+function isUsingFallbackData() {
+    return DATA_TYPES.some(type => dataStatus[type].bundled);
+}
+
+/**
+ * Retry fetching periodically while running on the bundled fallback data
+ */
+function scheduleFallbackRetry() {
+    clearTimeout(fallbackRetryTimer);
+    if (!isUsingFallbackData()) return;
+
+    fallbackRetryTimer = setTimeout(async () => {
+        await revalidateDataInBackground();
+        scheduleFallbackRetry();
+    }, FALLBACK_RETRY_INTERVAL);
+}
+
+/**
+ * Fetch fresh data in the background and refresh the views showing it on success
+ * Results on screen are kept, as they would otherwise change under the user.
+ */
+async function revalidateDataInBackground() {
     try {
-        const [rulesData, stagesData, weaponsData] = await Promise.all([
-            fetchFromAPI(API_URLS.rule),
-            fetchFromAPI(API_URLS.stage),
-            fetchFromAPI(API_URLS.weapon)
-        ]);
-
-        // Filter data and exclude specified items
-        data.rules = rulesData.filter(item => !EXCLUDED_ITEMS.rule.includes(item.key));
-        data.stages = stagesData.filter(item => !EXCLUDED_ITEMS.stage.includes(item.key));
-        data.weapons = weaponsData;
-
-        // Cache data
-        localStorage.setItem(CACHE_KEYS.rule, JSON.stringify(data.rules));
-        localStorage.setItem(CACHE_KEYS.stage, JSON.stringify(data.stages));
-        localStorage.setItem(CACHE_KEYS.weapon, JSON.stringify(data.weapons));
+        const result = await fetchAndCacheData();
+        if (result.updated.length > 0) {
+            // Filter changes the user has not applied yet are kept
+            const pending = getPendingFilterChanges();
+            initializeFilters();
+            restorePendingFilterChanges(pending);
+            checkFilterChanges();
 
+            renderTeamBalanceRules();
+            renderTricolorStages();
+            renderMemberPoolEditor();
+            renderOddsView();
+            updateBagProgress();
+            refreshMatchHistoryViews();
+            renderSharedResult();
+        }
     } catch (error) {
-        console.error('Error fetching data from API:', error);
-        throw error;
+        // Keep using the cached data
+        console.warn('Background revalidation failed:', error);
+    }
+    updateDataStatus();
+}
+
+/**
+ * Fetch data from API and cache it
+ * Each endpoint is handled independently: a failed endpoint keeps its
+ * current data, and the call only fails if some type ends up with no data.
+ * Returns the lists of updated and failed types.
+ */
+async function fetchAndCacheData() {
+    const sourceId = getActiveDataSourceId();
+    const results = await Promise.allSettled(
+        DATA_TYPES.map(type => DATA_SOURCES[sourceId].fetchType(type))
+    );
+
+    const updated = [];
+    const failed = [];
+
+    results.forEach((result, index) => {
+        const type = DATA_TYPES[index];
+
+        if (result.status === 'fulfilled' && isValidItemList(result.value)) {
+            const items = result.value;
+            const fetchedAt = Date.now();
+
+            data[DATA_KEYS[type]] = items;
+            dataStatus[type] = { fetchedAt: fetchedAt, error: null, bundled: false };
+
+            // Cache data
+            writeCacheEntry(getCacheKey(type, sourceId), items, fetchedAt, sourceId);
+            updated.push(type);
+        } else {
+            const error = result.status === 'rejected' ? result.reason : new Error('Invalid response');
+            console.error(`Error fetching ${type} data from ${sourceId}:`, error);
+            dataStatus[type].error = error.message;
+            failed.push(type);
+        }
+    });
+
+    if (!hasAllData()) {
+        throw new Error(`No data available for: ${failed.join(', ')}`);
     }
+
+    return { updated: updated, failed: failed };
 }
 
 /**
- * Fetch JSON from API
+ * Fetch JSON from API, retrying with exponential backoff
  */
 async function fetchFromAPI(url) {
-    const response = await fetch(url);
-    if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= FETCH_MAX_RETRIES; attempt++) {
+        if (attempt > 0) {
+            await wait(FETCH_RETRY_BASE_DELAY * Math.pow(2, attempt - 1));
+        }
+
+        try {
+            return await fetchWithTimeout(url, FETCH_TIMEOUT);
+        } catch (error) {
+            lastError = error;
+            if (!error.retryable) break;
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Fetch JSON once, aborting after the given timeout
+ * Errors are marked retryable for network failures, timeouts, 408, 429 and 5xx
+ */
+async function fetchWithTimeout(url, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            const error = new Error(`API error: ${response.status}`);
+            error.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+            throw error;
+        }
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            const timeoutError = new Error(`Timeout after ${timeout}ms`);
+            timeoutError.retryable = true;
+            throw timeoutError;
+        }
+        if (error.retryable === undefined) {
+            // Network error or invalid JSON
+            error.retryable = error instanceof TypeError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
     }
-    return await response.json();
 }
 
 /**
  * Refresh data from API
+ * The current cache is kept until the new data has been fetched
  */
 async function refreshData() {
+    updateLoadingStatus(t('status.refreshing'));
     try {
-        // Clear cache
-        localStorage.removeItem(CACHE_KEYS.rule);
-        localStorage.removeItem(CACHE_KEYS.stage);
-        localStorage.removeItem(CACHE_KEYS.weapon);
-        localStorage.removeItem(CACHE_KEYS.selectedItems);
+        const result = await fetchAndCacheData();
 
-        // Fetch new data
-        await fetchAndCacheData();
+        if (result.updated.length === 0) {
+            updateDataStatus();
+            updateLoadingStatus(t('status.refreshFailed'));
+            return;
+        }
+
+        // Saved selections are kept; items added or removed since are
+        // detected against them when the filters are initialized
         initializeUI();
+        updateDataStatus();
     } catch (error) {
         console.error('Error refreshing data:', error);
-        updateLoadingStatus('更新に失敗しました');
+        updateDataStatus();
+        updateLoadingStatus(t('status.refreshFailed'));
+    }
+}
+
+// ========== Data Sources ==========
+
+/**
+ * Get the ID of the active data source
+ */
+function getActiveDataSourceId() {
+    const saved = localStorage.getItem(DATA_SOURCE_KEY);
+    return saved && DATA_SOURCES[saved] ? saved : DEFAULT_DATA_SOURCE;
+}
+
+/**
+ * Switch the data source and reload all data from it
+ */
+async function switchDataSource(sourceId) {
+    if (!DATA_SOURCES[sourceId]) return;
+    localStorage.setItem(DATA_SOURCE_KEY, sourceId);
+
+    const sourceSelect = document.getElementById('dataSource');
+    if (sourceSelect) sourceSelect.value = sourceId;
+    updateImportButtonVisibility();
+
+    // Replace the data of the previous source with the new source's cache,
+    // which is kept for any type that can't be fetched now
+    const cached = loadFromCache();
+    DATA_TYPES.forEach(type => {
+        data[DATA_KEYS[type]] = cached.data[DATA_KEYS[type]];
+        dataStatus[type] = { fetchedAt: cached.fetchedAt[type], error: null, bundled: false };
+    });
+
+    updateLoadingStatus(t('status.loading'));
+    try {
+        await fetchAndCacheData();
+    } catch (error) {
+        if (!applyFallbackData()) {
+            console.error('Error switching data source:', error);
+            updateDataStatus();
+            updateLoadingStatus(t('status.loadError'));
+            return;
+        }
+    }
+
+    // Keys differ between sources, so saved selections are reset
+    localStorage.removeItem(CACHE_KEYS.selectedItems);
+    initializeUI();
+    updateDataStatus();
+    scheduleFallbackRetry();
+}
+
+/**
+ * Get items of the given type from the imported JSON file
+ * Types the file does not contain are taken from stat.ink
+ */
+async function fetchFromImportedData(type) {
+    const imported = loadImportedData();
+    const items = imported ? imported[DATA_KEYS[type]] : null;
+    if (items && items.length > 0) {
+        return items;
+    }
+    return DATA_SOURCES.statink.fetchType(type);
+}
+
+/**
+ * Load imported data from localStorage
+ */
+function loadImportedData() {
+    try {
+        const saved = localStorage.getItem(IMPORTED_DATA_KEY);
+        if (saved) {
+            return JSON.parse(saved);
+        }
+    } catch (error) {
+        console.error('Error loading imported data:', error);
+    }
+    return null;
+}
+
+/**
+ * Parse and validate an imported data file
+ * Accepts { rules, stages, weapons } (or rule/stage/weapon) with stat.ink shaped items
+ */
+function parseImportedData(text) {
+    const json = JSON.parse(text);
+    if (!json || typeof json !== 'object') {
+        throw new Error(t('import.notObject'));
+    }
+
+    const imported = {};
+    DATA_TYPES.forEach(type => {
+        const items = json[DATA_KEYS[type]] || json[type];
+        if (items === undefined) return;
+        if (!isValidItemList(items)) {
+            throw new Error(t('import.invalidType', { type: getTypeName(type) }));
+        }
+        imported[DATA_KEYS[type]] = items;
+    });
+
+    if (Object.keys(imported).length === 0) {
+        throw new Error(t('import.empty'));
+    }
+    return imported;
+}
+
+/**
+ * Import a JSON file and switch to the local file data source
+ */
+async function importDataFile(file) {
+    try {
+        const imported = parseImportedData(await file.text());
+        imported.fileName = file.name;
+        imported.importedAt = Date.now();
+        localStorage.setItem(IMPORTED_DATA_KEY, JSON.stringify(imported));
+    } catch (error) {
+        console.error('Error importing data file:', error);
+        alert(t('import.failed', { message: error.message }));
+        return;
+    }
+
+    await switchDataSource('local');
+}
+
+/**
+ * Initialize data source select and import button
+ */
+function initializeDataSourceSettings() {
+    const sourceSelect = document.getElementById('dataSource');
+    const fileInput = document.getElementById('importDataFile');
+    if (!sourceSelect) return;
+
+    sourceSelect.value = getActiveDataSourceId();
+    updateImportButtonVisibility();
+
+    sourceSelect.addEventListener('change', () => {
+        // Ask for a file first if nothing has been imported yet
+        if (sourceSelect.value === 'local' && !loadImportedData()) {
+            sourceSelect.value = getActiveDataSourceId();
+            if (fileInput) fileInput.click();
+            return;
+        }
+        switchDataSource(sourceSelect.value);
+    });
+
+    if (fileInput) {
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                importDataFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+}
+
+/**
+ * Show the import button only for the local file data source
+ */
+function updateImportButtonVisibility() {
+    const importButton = document.getElementById('importDataBtn');
+    if (importButton) {
+        importButton.style.display = getActiveDataSourceId() === 'local' ? '' : 'none';
     }
 }
 
@@ -222,9 +909,9 @@ function initializeButtonVisibility() {
         selectAllWeaponCheckbox.addEventListener('change', handleSelectAllWeapons);
     }
 
-    // Note: Event listeners for memberCount and teamDivisionToggle are already attached
-    // in DOMContentLoaded and initializeTeamDivisionCheckbox() respectively.
-    // Member name input listeners are attached in initializeMemberNames().
+    // Note: Event listeners for teamDivisionToggle are already attached
+    // in initializeTeamDivisionCheckbox().
+    // Member roster input listeners are attached in renderMemberRoster().
     // Filter checkbox listeners are attached in createFilterList().
 }
 
@@ -233,7 +920,23 @@ function initializeButtonVisibility() {
  */
 function saveSelectedItems() {
     try {
-        localStorage.setItem(CACHE_KEYS.selectedItems, JSON.stringify(selectedItems));
+        // Remember which items existed, so new ones can be detected later.
+        // Bundled data may be older than the live data, so the previous known items are kept then.
+        const previous = loadSelectedItems();
+        const known = isUsingFallbackData() && previous && previous.known
+            ? previous.known
+            : {
+                rule: data.rules.map(item => item.key),
+                stage: data.stages.map(item => item.key),
+                weapon: data.weapons.map(item => item.key)
+            };
+
+        localStorage.setItem(CACHE_KEYS.selectedItems, JSON.stringify({
+            rule: selectedItems.rule,
+            stage: selectedItems.stage,
+            weapon: selectedItems.weapon,
+            known: known
+        }));
     } catch (error) {
         console.error('Error saving selected items:', error);
     }
@@ -365,19 +1068,19 @@ function saveFilterSectionState() {
 
 /**
  * Apply team division checkbox state
+ * Tricolor Turf War is always divided into teams, even with the checkbox off.
+ * Returns false if the members could not be divided.
  */
 function applyTeamDivisionState(isChecked) {
     const teamDivisionOnlyBtn = document.getElementById('teamDivisionOnlyBtn');
 
-    if (isChecked) {
-        // Execute team division
-        divideTeams();
-        // Update result cards with team information
-        updateResultCardsTeamColor();
+    if (isChecked || isTricolorRound()) {
         // Show team division only button
         if (teamDivisionOnlyBtn) {
-            teamDivisionOnlyBtn.style.display = '';
+            teamDivisionOnlyBtn.style.display = isChecked ? '' : 'none';
         }
+        // Execute team division (result cards are updated with the teams)
+        return divideTeams();
     } else {
         // Clear team information
         currentTeams = {};
@@ -387,7 +1090,29 @@ function applyTeamDivisionState(isChecked) {
         if (teamDivisionOnlyBtn) {
             teamDivisionOnlyBtn.style.display = 'none';
         }
+        return true;
+    }
+}
+
+/**
+ * Initialize auto refresh interval select
+ */
+function initializeCacheMaxAgeSelect() {
+    const select = document.getElementById('cacheMaxAge');
+    if (!select) return;
+
+    select.value = String(getCacheMaxAge());
+    // Fall back to the default if the saved value is not one of the options
+    if (select.selectedIndex === -1) {
+        select.value = String(DEFAULT_CACHE_MAX_AGE);
     }
+
+    select.addEventListener('change', () => {
+        localStorage.setItem(CACHE_MAX_AGE_KEY, select.value);
+        if (hasAllData() && DATA_TYPES.some(type => isCacheStale(dataStatus[type].fetchedAt))) {
+            revalidateDataInBackground();
+        }
+    });
 }
 
 /**
@@ -409,34 +1134,88 @@ function initializeTeamDivisionCheckbox() {
 // ========== UI Initialization ==========
 
 /**
- * Initialize member name inputs
+ * Render the member roster inputs from the roster draft
  */
-function initializeMemberNames() {
-    const memberCount = parseInt(document.getElementById('memberCount').value);
+function renderMemberRoster() {
     const container = document.getElementById('memberNames');
     container.innerHTML = '';
 
-    for (let i = 1; i <= memberCount; i++) {
+    rosterDraft.forEach((member, index) => {
         const group = document.createElement('div');
         group.className = 'member-input-group';
+        group.classList.toggle('absent', !member.attending);
+
+        const header = document.createElement('div');
+        header.className = 'member-header';
+
+        const attendingCheckbox = document.createElement('input');
+        attendingCheckbox.type = 'checkbox';
+        attendingCheckbox.id = `memberAttending-${member.id}`;
+        attendingCheckbox.checked = member.attending;
+        attendingCheckbox.addEventListener('change', () => {
+            member.attending = attendingCheckbox.checked;
+            group.classList.toggle('absent', !member.attending);
+            updateAttendingCount();
+            checkMemberChanges();
+        });
 
-        const label = document.createElement('label');
-        label.htmlFor = `memberName${i}`;
-        label.textContent = `メンバー${i}`;
+        const attendingLabel = document.createElement('label');
+        attendingLabel.htmlFor = attendingCheckbox.id;
+        attendingLabel.textContent = t('member.attending');
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn-member-remove';
+        removeButton.textContent = '×';
+        removeButton.title = t('member.remove');
+        removeButton.addEventListener('click', () => removeRosterMember(member.id));
+
+        header.appendChild(attendingCheckbox);
+        header.appendChild(attendingLabel);
+        header.appendChild(removeButton);
 
         const input = document.createElement('input');
         input.type = 'text';
-        input.id = `memberName${i}`;
         input.className = 'member-input';
-        input.placeholder = `メンバー${i}`;
-        input.value = localStorage.getItem(`memberName${i}`) || `メンバー${i}`;
+        input.placeholder = t('member.defaultName', { n: index + 1 });
+        input.value = member.name;
+        input.addEventListener('input', () => {
+            member.name = input.value;
+            checkMemberChanges();
+        });
+
+        const ratingInput = document.createElement('input');
+        ratingInput.type = 'number';
+        ratingInput.step = 'any';
+        ratingInput.className = 'member-rating';
+        ratingInput.placeholder = t('member.rating');
+        ratingInput.title = t('member.ratingHint');
+        ratingInput.value = member.rating === null ? '' : member.rating;
+        ratingInput.addEventListener('input', () => {
+            const rating = parseFloat(ratingInput.value);
+            member.rating = isNaN(rating) ? null : rating;
+            checkMemberChanges();
+        });
 
-        input.addEventListener('input', checkMemberChanges);
+        const poolButton = document.createElement('button');
+        poolButton.type = 'button';
+        poolButton.className = 'btn-member-pool';
+        poolButton.dataset.memberId = member.id;
+        poolButton.addEventListener('click', () => openMemberPoolEditor(member.id));
 
-        group.appendChild(label);
+        group.appendChild(header);
         group.appendChild(input);
+        group.appendChild(ratingInput);
+        group.appendChild(poolButton);
         container.appendChild(group);
+    });
+
+    updateAttendingCount();
+    updateMemberPoolButtons();
+    if (editingPoolMemberId !== null && !rosterDraft.some(member => member.id === editingPoolMemberId)) {
+        closeMemberPoolEditor();
     }
+    renderPairConstraints();
 }
 
 /**
@@ -445,6 +1224,12 @@ function initializeMemberNames() {
 function initializeUI() {
     initializeFilters();
     initializeResults();
+    renderTeamBalanceRules();
+    renderTricolorStages();
+    renderMemberPoolEditor();
+    renderMatchHistory();
+    renderStatistics();
+    renderSharedResult();
 }
 
 /**
@@ -469,183 +1254,525 @@ function initializeFilters() {
         selectedItems.weapon = selectedItems.weapon.filter(key =>
             cachedSelections.weapon.includes(key)
         );
+
+        // Bundled data may be older than the live data, so item changes are not detected against it
+        if (!isUsingFallbackData()) {
+            applyNewItemPolicy(cachedSelections);
+        }
+    } else if (!isUsingFallbackData()) {
+        // Remember the current items, so that a later refresh can detect changes
+        saveSelectedItems();
     }
+    updateItemChangeNotice();
 
     // Initialize temporary filter selections with saved selections
     tempFilterSelections.rule = [...selectedItems.rule];
     tempFilterSelections.stage = [...selectedItems.stage];
     tempFilterSelections.weapon = [...selectedItems.weapon];
 
-    createFilterList('rule', data.rules);
-    createFilterList('stage', data.stages);
-    createFilterList('weapon', data.weapons);
-
-    // Update select all checkbox states
-    updateGroupSelectAllCheckbox('rule');
-    updateGroupSelectAllCheckbox('stage');
-    updateGroupSelectAllCheckbox('weapon');
+    renderFilterLists();
 }
 
 /**
- * Create filter list for given type
+ * Detect items added or removed since the selection was saved
+ * Added items are selected or not according to the per-category policy,
+ * and the changes are recorded for the notice.
  */
-function createFilterList(type, items) {
-    const container = document.getElementById(`${type}Filter`);
-    container.innerHTML = '';
-
-    items.forEach(item => {
-        const itemDiv = document.createElement('div');
-        itemDiv.className = 'filter-item';
-
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `${type}-${item.key}`;
-        // Check box state based on selectedItems (saved state)
-        checkbox.checked = selectedItems[type].includes(item.key);
+function applyNewItemPolicy(cachedSelections) {
+    const known = cachedSelections.known;
+    const changes = {};
+
+    if (known) {
+        DATA_TYPES.forEach(type => {
+            if (!Array.isArray(known[type])) return;
+
+            const items = data[DATA_KEYS[type]];
+            const currentKeys = items.map(item => item.key);
+            const addedItems = items.filter(item => !known[type].includes(item.key));
+            const removedKeys = known[type].filter(key => !currentKeys.includes(key));
+
+            if (addedItems.length > 0 && getNewItemPolicy(type) === 'include') {
+                const addedKeys = addedItems.map(item => item.key);
+                // Keep data order
+                selectedItems[type] = currentKeys.filter(key =>
+                    selectedItems[type].includes(key) || addedKeys.includes(key)
+                );
+            }
 
-        checkbox.addEventListener('change', () => {
-            // Update temporary filter selections only
-            if (checkbox.checked) {
-                if (!tempFilterSelections[type].includes(item.key)) {
-                    tempFilterSelections[type].push(item.key);
-                }
-            } else {
-                tempFilterSelections[type] = tempFilterSelections[type].filter(key => key !== item.key);
+            if (addedItems.length > 0 || removedKeys.length > 0) {
+                changes[type] = {
+                    added: addedItems.map(item => ({ key: item.key, name: item.name })),
+                    removed: removedKeys,
+                    policy: getNewItemPolicy(type)
+                };
             }
-            // Update select all checkbox states
-            updateGroupSelectAllCheckbox(type);
-            // Check for changes and trigger button visibility
-            checkFilterChanges();
         });
+    }
 
-        const label = document.createElement('label');
-        label.htmlFor = `${type}-${item.key}`;
-        label.textContent = getItemName(type, item);
-
-        itemDiv.appendChild(checkbox);
-        itemDiv.appendChild(label);
-        container.appendChild(itemDiv);
-    });
+    // Save the selection with the current known items (also upgrades old saves)
+    if (!known || Object.keys(changes).length > 0) {
+        saveSelectedItems();
+    }
+    if (Object.keys(changes).length > 0) {
+        addItemChanges(changes);
+    }
 }
 
 /**
- * Initialize empty results display
+ * Get the new item policy for a category
  */
-function initializeResults() {
-    const memberCount = parseInt(document.getElementById('memberCount').value);
-    const container = document.getElementById('resultsContainer');
-    container.innerHTML = '';
-
-    // Initialize common results (rule and stage)
-    const commonRuleElement = document.getElementById('commonRule');
-    const commonStageElement = document.getElementById('commonStage');
-    if (commonRuleElement) commonRuleElement.textContent = '-';
-    if (commonStageElement) commonStageElement.textContent = '-';
+function getNewItemPolicy(type) {
+    const policies = loadNewItemPolicies();
+    return NEW_ITEM_POLICIES.includes(policies[type]) ? policies[type] : DEFAULT_NEW_ITEM_POLICY;
+}
 
-    // Initialize member-specific results (weapons only)
-    for (let i = 1; i <= memberCount; i++) {
-        const memberName = document.getElementById(`memberName${i}`).value;
-        const card = document.createElement('div');
-        card.className = 'result-card';
-        card.id = `result-${i}`;
-
-        // Get team info if available
-        const teamInfo = currentTeams[i];
-        const teamClass = teamInfo ? (teamInfo === 'alpha' ? 'alpha-team' : 'bravo-team') : '';
-        if (teamClass) {
-            card.classList.add(teamClass);
+/**
+ * Load new item policies from localStorage
+ */
+function loadNewItemPolicies() {
+    try {
+        const saved = localStorage.getItem(NEW_ITEM_POLICY_KEY);
+        if (saved) {
+            return JSON.parse(saved) || {};
         }
+    } catch (error) {
+        console.error('Error loading new item policies:', error);
+    }
+    return {};
+}
 
-        let teamHTML = '';
-        if (teamInfo) {
-            const teamName = teamInfo === 'alpha' ? 'アルファグループ' : 'ブラボーグループ';
-            teamHTML = `<div class="result-team-label">${teamName}</div>`;
-        }
+/**
+ * Initialize new item policy selects
+ */
+function initializeNewItemPolicySelects() {
+    DATA_TYPES.forEach(type => {
+        const select = document.getElementById(`newItemPolicy-${type}`);
+        if (!select) return;
+
+        select.value = getNewItemPolicy(type);
+        select.addEventListener('change', () => {
+            const policies = loadNewItemPolicies();
+            policies[type] = select.value;
+            localStorage.setItem(NEW_ITEM_POLICY_KEY, JSON.stringify(policies));
+        });
+    });
+}
+
+/**
+ * Merge detected item changes into the pending changes
+ */
+function addItemChanges(changes) {
+    const pending = loadItemChanges();
 
-        card.innerHTML = `
-            <h3>${memberName}</h3>
-            ${teamHTML}
-            <div class="result-item">
-                <div class="result-label">ブキ</div>
-                <div class="result-value result-weapon">-</div>
-            </div>
-        `;
+    Object.keys(changes).forEach(type => {
+        const current = pending[type] || { added: [], removed: [] };
+        const addedKeys = current.added.map(item => item.key);
 
-        container.appendChild(card);
+        changes[type].added.forEach(item => {
+            if (!addedKeys.includes(item.key)) current.added.push(item);
+        });
+        changes[type].removed.forEach(key => {
+            if (!current.removed.includes(key)) current.removed.push(key);
+        });
+        current.policy = changes[type].policy;
+        pending[type] = current;
+    });
+
+    try {
+        localStorage.setItem(ITEM_CHANGES_KEY, JSON.stringify(pending));
+    } catch (error) {
+        console.error('Error saving item changes:', error);
     }
 }
 
 /**
- * Save current member state for change detection
+ * Load pending item changes from localStorage
  */
-function saveCurrentMemberState() {
-    const memberCount = parseInt(document.getElementById('memberCount').value);
-    memberStateSnapshot = {
-        memberCount: memberCount,
-        teamDivisionEnabled: document.getElementById('teamDivisionToggle').checked,
-        memberNames: {}
-    };
-
-    for (let i = 1; i <= memberCount; i++) {
-        const memberInput = document.getElementById(`memberName${i}`);
-        if (memberInput) {
-            memberStateSnapshot.memberNames[i] = memberInput.value;
+function loadItemChanges() {
+    try {
+        const saved = localStorage.getItem(ITEM_CHANGES_KEY);
+        if (saved) {
+            return JSON.parse(saved) || {};
         }
+    } catch (error) {
+        console.error('Error loading item changes:', error);
     }
+    return {};
 }
 
 /**
- * Check if member settings have changed from the saved state
+ * Show pending item changes in the notice
  */
-function checkMemberChanges() {
-    const memberCount = parseInt(document.getElementById('memberCount').value);
-    const teamDivisionEnabled = document.getElementById('teamDivisionToggle').checked;
+function updateItemChangeNotice() {
+    const notice = document.getElementById('itemChangeNotice');
+    const list = document.getElementById('itemChangeList');
+    if (!notice || !list) return;
+
+    const changes = loadItemChanges();
+    list.innerHTML = '';
+
+    DATA_TYPES.forEach(type => {
+        const change = changes[type];
+        if (!change) return;
+
+        if (change.added.length > 0) {
+            const item = document.createElement('li');
+            const names = change.added.map(added => getItemName(type, added)).join(', ');
+            item.textContent = t(change.policy === 'exclude' ? 'itemChanges.addedExcluded' : 'itemChanges.addedIncluded', {
+                type: getTypeName(type),
+                count: change.added.length,
+                names: names
+            });
+            list.appendChild(item);
+        }
+        if (change.removed.length > 0) {
+            const item = document.createElement('li');
+            item.textContent = t('itemChanges.removed', {
+                type: getTypeName(type),
+                count: change.removed.length,
+                names: change.removed.join(', ')
+            });
+            list.appendChild(item);
+        }
+    });
 
-    // Check if member count changed
-    if (memberCount !== memberStateSnapshot.memberCount) {
-        document.getElementById('confirmMembersBtn').style.display = 'block';
-        return;
-    }
+    notice.style.display = list.children.length > 0 ? '' : 'none';
+}
 
-    // Check if team division setting changed
-    if (teamDivisionEnabled !== memberStateSnapshot.teamDivisionEnabled) {
-        document.getElementById('confirmMembersBtn').style.display = 'block';
-        return;
+/**
+ * Dismiss the item change notice
+ */
+function dismissItemChangeNotice() {
+    localStorage.removeItem(ITEM_CHANGES_KEY);
+    updateItemChangeNotice();
+}
+
+/**
+ * Render all filter lists from the current temporary selections
+ */
+function renderFilterLists() {
+    createFilterList('rule', data.rules);
+    createFilterList('stage', data.stages);
+    createFilterList('weapon', data.weapons);
+
+    // Update select all checkbox states
+    updateGroupSelectAllCheckbox('rule');
+    updateGroupSelectAllCheckbox('stage');
+    updateGroupSelectAllCheckbox('weapon');
+}
+
+/**
+ * Create filter list for given type
+ * Weapons are grouped by the selected grouping (class, sub or special)
+ */
+function createFilterList(type, items) {
+    const container = document.getElementById(`${type}Filter`);
+    container.innerHTML = '';
+
+    if (type === 'weapon') {
+        const grouping = getWeaponGrouping();
+        groupWeapons(items, grouping).forEach(group => {
+            container.appendChild(createWeaponGroup(grouping, group));
+        });
+    } else {
+        items.forEach(item => {
+            container.appendChild(createFilterItem(type, item));
+        });
     }
 
-    // Check if any member name changed
-    for (let i = 1; i <= memberCount; i++) {
-        const memberInput = document.getElementById(`memberName${i}`);
-        if (memberInput) {
-            const currentValue = memberInput.value;
-            const savedValue = memberStateSnapshot.memberNames[i] || '';
-            if (currentValue !== savedValue) {
-                document.getElementById('confirmMembersBtn').style.display = 'block';
-                return;
+    // Keep the current search applied after re-rendering
+    applyFilterSearch(type);
+}
+
+/**
+ * Create a single filter checkbox item
+ */
+function createFilterItem(type, item) {
+    const itemDiv = document.createElement('div');
+    itemDiv.className = 'filter-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `${type}-${item.key}`;
+    // Check box state based on temporary selections (equal to saved state until edited)
+    checkbox.checked = tempFilterSelections[type].includes(item.key);
+
+    checkbox.addEventListener('change', () => {
+        // Update temporary filter selections only
+        if (checkbox.checked) {
+            if (!tempFilterSelections[type].includes(item.key)) {
+                tempFilterSelections[type].push(item.key);
             }
+        } else {
+            tempFilterSelections[type] = tempFilterSelections[type].filter(key => key !== item.key);
         }
-    }
+        // Update select all checkbox states
+        updateGroupSelectAllCheckbox(type);
+        // Check for changes and trigger button visibility
+        checkFilterChanges();
+    });
 
-    // No changes detected, hide button
-    document.getElementById('confirmMembersBtn').style.display = 'none';
+    const label = document.createElement('label');
+    label.htmlFor = `${type}-${item.key}`;
+    label.textContent = getItemName(type, item);
+
+    itemDiv.appendChild(checkbox);
+    itemDiv.appendChild(label);
+    itemDiv.appendChild(createWeightSelect(type, item));
+    return itemDiv;
 }
 
 /**
- * Confirm member names and update result cards
+ * Get the saved weapon grouping
  */
-function confirmMembers() {
-    // Save member count to localStorage
-    const memberCount = parseInt(document.getElementById('memberCount').value);
-    localStorage.setItem('memberCount', memberCount);
+function getWeaponGrouping() {
+    const saved = localStorage.getItem(WEAPON_GROUPING_KEY);
+    return WEAPON_GROUPINGS.includes(saved) ? saved : 'type';
+}
+
+/**
+ * Group weapons by the given attribute, keeping the order of first appearance
+ * Weapons without the attribute (e.g. imported ones) go to an "other" group
+ */
+function groupWeapons(weapons, grouping) {
+    const groups = [];
+    const groupsByKey = {};
+
+    weapons.forEach(weapon => {
+        const attribute = weapon[grouping];
+        const key = attribute && attribute.key ? attribute.key : '';
+
+        if (!groupsByKey[key]) {
+            groupsByKey[key] = {
+                key: key,
+                name: key ? getItemName('weapon', attribute) : t('filter.group.other'),
+                items: []
+            };
+            groups.push(groupsByKey[key]);
+        }
+        groupsByKey[key].items.push(weapon);
+    });
+
+    // Keep the "other" group at the end
+    return groups.filter(group => group.key).concat(groups.filter(group => !group.key));
+}
+
+/**
+ * Create a weapon group with its own select all checkbox
+ */
+function createWeaponGroup(grouping, group) {
+    const groupDiv = document.createElement('div');
+    groupDiv.className = 'filter-subgroup';
+
+    const header = document.createElement('div');
+    header.className = 'filter-subgroup-header';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `weaponGroup-${grouping}-${group.key || 'other'}`;
+    checkbox.className = 'weapon-group-checkbox';
+    checkbox.dataset.keys = JSON.stringify(group.items.map(item => item.key));
+
+    checkbox.addEventListener('change', () => {
+        const keys = JSON.parse(checkbox.dataset.keys);
+        if (checkbox.checked) {
+            keys.forEach(key => {
+                if (!tempFilterSelections.weapon.includes(key)) {
+                    tempFilterSelections.weapon.push(key);
+                }
+            });
+        } else {
+            tempFilterSelections.weapon = tempFilterSelections.weapon.filter(key => !keys.includes(key));
+        }
+        // Update individual checkboxes and select all states
+        updateAllFilterCheckboxes();
+        updateGroupSelectAllCheckbox('weapon');
+        checkFilterChanges();
+    });
 
-    // Save all member names to localStorage
-    for (let i = 1; i <= memberCount; i++) {
-        const memberInput = document.getElementById(`memberName${i}`);
-        if (memberInput) {
-            localStorage.setItem(`memberName${i}`, memberInput.value);
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = `${group.name} (${group.items.length})`;
+
+    header.appendChild(checkbox);
+    header.appendChild(label);
+    groupDiv.appendChild(header);
+
+    group.items.forEach(item => {
+        groupDiv.appendChild(createFilterItem('weapon', item));
+    });
+
+    return groupDiv;
+}
+
+/**
+ * Update weapon group checkboxes (checked if all, indeterminate if some are selected)
+ */
+function updateWeaponGroupCheckboxes() {
+    document.querySelectorAll('#weaponFilter .weapon-group-checkbox').forEach(checkbox => {
+        const keys = JSON.parse(checkbox.dataset.keys);
+        const selectedCount = keys.filter(key => tempFilterSelections.weapon.includes(key)).length;
+        checkbox.checked = selectedCount === keys.length;
+        checkbox.indeterminate = selectedCount > 0 && selectedCount < keys.length;
+    });
+}
+
+/**
+ * Initialize weapon grouping select
+ */
+function initializeWeaponGroupingSelect() {
+    const select = document.getElementById('weaponGrouping');
+    if (!select) return;
+
+    select.value = getWeaponGrouping();
+    select.addEventListener('change', () => {
+        localStorage.setItem(WEAPON_GROUPING_KEY, select.value);
+        createFilterList('weapon', data.weapons);
+        updateGroupSelectAllCheckbox('weapon');
+    });
+}
+
+/**
+ * Initialize empty results display
+ */
+function initializeResults() {
+    const members = getActiveMembers();
+    const container = document.getElementById('resultsContainer');
+    container.innerHTML = '';
+
+    clearRollSeed();
+
+    // Drop results that are not locked (and locks of members no longer playing)
+    Object.keys(currentResults).forEach(resultKey => {
+        const memberId = getResultMemberId(resultKey);
+        const playing = memberId === null || members.some(member => member.id === memberId);
+        if (!lockedResults.has(resultKey) || !playing) {
+            delete currentResults[resultKey];
+            lockedResults.delete(resultKey);
         }
+    });
+
+    // Initialize common results (rule and stage), keeping locked ones
+    ['rule', 'stage'].forEach(type => {
+        const element = document.getElementById(type === 'rule' ? 'commonRule' : 'commonStage');
+        const item = currentResults[`common-${type}`];
+        if (element) element.textContent = item ? getItemName(type, item) : '-';
+    });
+
+    // Initialize member-specific results (weapons only)
+    members.forEach(member => {
+        container.appendChild(createResultCard(member.id));
+    });
+
+    updateBagProgress();
+    updateResultControls();
+}
+
+/**
+ * Create the result card of a member
+ */
+function createResultCard(memberId) {
+    const resultKey = getWeaponResultKey(memberId);
+    const card = document.createElement('div');
+    card.className = 'result-card';
+    card.id = `result-${memberId}`;
+    card.dataset.memberId = memberId;
+
+    // Get team info if available
+    const teamInfo = currentTeams[memberId];
+    applyTeamStyle(card, teamInfo);
+
+    const name = document.createElement('h3');
+    name.textContent = getMemberName(memberId);
+    card.appendChild(name);
+
+    if (teamInfo) {
+        const teamLabel = document.createElement('div');
+        teamLabel.className = 'result-team-label';
+        teamLabel.textContent = getTeamLabel(teamInfo);
+        card.appendChild(teamLabel);
     }
 
+    const lockedWeapon = currentResults[resultKey];
+    const item = document.createElement('div');
+    item.className = 'result-item';
+    const label = document.createElement('div');
+    label.className = 'result-label';
+    label.textContent = t('type.weapon');
+    const value = document.createElement('div');
+    value.className = 'result-value result-weapon';
+    value.textContent = lockedWeapon ? getItemName('weapon', lockedWeapon) : '-';
+    item.append(label, value);
+    card.appendChild(item);
+
+    const controls = document.createElement('div');
+    controls.className = 'result-controls';
+    const lockButton = document.createElement('button');
+    lockButton.className = 'btn-result-lock';
+    lockButton.dataset.result = resultKey;
+    lockButton.addEventListener('click', () => toggleResultLock(resultKey));
+    const rerollButton = document.createElement('button');
+    rerollButton.className = 'btn-result-reroll';
+    rerollButton.dataset.result = resultKey;
+    rerollButton.addEventListener('click', () => rerollResult(resultKey));
+    controls.append(lockButton, rerollButton);
+    card.appendChild(controls);
+
+    const bag = document.createElement('div');
+    bag.className = 'result-bag';
+    const progress = document.createElement('span');
+    progress.className = 'result-bag-progress';
+    const resetButton = document.createElement('button');
+    resetButton.className = 'btn-bag-reset';
+    resetButton.textContent = t('bag.reset');
+    resetButton.addEventListener('click', () => resetWeaponBag(memberId));
+    bag.append(progress, resetButton);
+    card.appendChild(bag);
+
+    return card;
+}
+
+/**
+ * Save current member state for change detection
+ */
+function saveCurrentMemberState() {
+    memberStateSnapshot = {
+        teamDivisionEnabled: document.getElementById('teamDivisionToggle').checked,
+        roster: JSON.stringify(roster),
+        pairConstraints: JSON.stringify(loadPairConstraints())
+    };
+}
+
+/**
+ * Check if member settings have changed from the saved state
+ */
+function checkMemberChanges() {
+    const teamDivisionEnabled = document.getElementById('teamDivisionToggle').checked;
+    const changed = teamDivisionEnabled !== memberStateSnapshot.teamDivisionEnabled ||
+        JSON.stringify(rosterDraft) !== memberStateSnapshot.roster ||
+        JSON.stringify(pairConstraintsDraft) !== memberStateSnapshot.pairConstraints;
+
+    document.getElementById('confirmMembersBtn').style.display = changed ? 'block' : 'none';
+}
+
+/**
+ * Confirm member roster and update result cards
+ */
+function confirmMembers() {
+    // Save the roster and constraints, and drop settings of removed members
+    roster = cloneRoster(rosterDraft);
+    saveRoster();
+    savePairConstraints(pairConstraintsDraft);
+    pruneMemberData(roster.map(member => member.id));
+    pairConstraintsDraft = loadPairConstraints();
+
+    // Re-check who sits out, then drop teams of members who are no longer playing
+    initializeSpectators();
+    const activeIds = getActiveMembers().map(member => member.id);
+    Object.keys(currentTeams).forEach(memberId => {
+        if (!activeIds.includes(memberId)) delete currentTeams[memberId];
+    });
+
     // Save team division state to localStorage and apply the change
     const teamDivisionEnabled = document.getElementById('teamDivisionToggle').checked;
     localStorage.setItem('teamDivisionToggle', teamDivisionEnabled);
@@ -654,9 +1781,12 @@ function confirmMembers() {
     // Update state snapshot and hide button
     saveCurrentMemberState();
     document.getElementById('confirmMembersBtn').style.display = 'none';
+    renderMemberRoster();
 
     // Reinitialize results to update member display names in result cards
     initializeResults();
+    renderOddsView();
+    updateSpectatorList();
 }
 
 /**
@@ -691,6 +1821,36 @@ function checkFilterChanges() {
     }
 }
 
+/**
+ * Get the items checked and unchecked in the filter lists but not applied yet
+ */
+function getPendingFilterChanges() {
+    const pending = {};
+    DATA_TYPES.forEach(type => {
+        pending[type] = {
+            added: tempFilterSelections[type].filter(key => !selectedItems[type].includes(key)),
+            removed: selectedItems[type].filter(key => !tempFilterSelections[type].includes(key))
+        };
+    });
+    return pending;
+}
+
+/**
+ * Apply unapplied filter changes again after the filter lists were reset
+ * Items no longer in the data are dropped.
+ */
+function restorePendingFilterChanges(pending) {
+    DATA_TYPES.forEach(type => {
+        const keys = data[DATA_KEYS[type]].map(item => item.key);
+        const selections = tempFilterSelections[type].filter(key => !pending[type].removed.includes(key));
+        pending[type].added.forEach(key => {
+            if (keys.includes(key) && !selections.includes(key)) selections.push(key);
+        });
+        tempFilterSelections[type] = selections;
+    });
+    renderFilterLists();
+}
+
 /**
  * Apply filter settings and save selections to localStorage
  */
@@ -709,6 +1869,9 @@ function applyFilterSettings() {
 
     // Reinitialize results to clear previous roulette results
     initializeResults();
+    renderOddsView();
+    renderMemberPoolEditor();
+    renderStatistics();
 }
 
 
@@ -753,6 +1916,10 @@ function updateGroupSelectAllCheckbox(type) {
 
     // Check if all items are selected
     selectAllCheckbox.checked = (items.length > 0 && selectedCount === items.length);
+
+    if (type === 'weapon') {
+        updateWeaponGroupCheckboxes();
+    }
 }
 
 /**
@@ -816,11 +1983,153 @@ function handleSelectAllWeapons(event) {
             checkbox.checked = tempFilterSelections.weapon.includes(item.key);
         }
     });
+    updateWeaponGroupCheckboxes();
 
     // Trigger change detection
     checkFilterChanges();
 }
 
+// ========== Filter Search ==========
+
+/**
+ * Initialize search inputs above the filter lists
+ */
+function initializeFilterSearch() {
+    DATA_TYPES.forEach(type => {
+        const input = document.getElementById(`search-${type}`);
+        if (!input) return;
+
+        input.addEventListener('input', () => {
+            filterSearchQueries[type] = input.value;
+            applyFilterSearch(type);
+        });
+    });
+}
+
+/**
+ * Show only the filter items matching the current search query
+ */
+function applyFilterSearch(type) {
+    const matchingKeys = getMatchingItems(type).map(item => item.key);
+
+    data[DATA_KEYS[type]].forEach(item => {
+        const checkbox = document.getElementById(`${type}-${item.key}`);
+        if (checkbox) {
+            checkbox.closest('.filter-item').style.display = matchingKeys.includes(item.key) ? '' : 'none';
+        }
+    });
+
+    // Hide weapon groups without matching items
+    document.querySelectorAll(`#${type}Filter .filter-subgroup`).forEach(group => {
+        const hasVisibleItem = Array.from(group.querySelectorAll('.filter-item'))
+            .some(itemDiv => itemDiv.style.display !== 'none');
+        group.style.display = hasVisibleItem ? '' : 'none';
+    });
+}
+
+/**
+ * Get items of the given type matching the current search query (all if empty)
+ */
+function getMatchingItems(type) {
+    const query = normalizeSearchText(filterSearchQueries[type] || '');
+    const items = data[DATA_KEYS[type]];
+    if (!query) return items;
+
+    return items.filter(item => getSearchTexts(type, item).some(text => text.includes(query)));
+}
+
+/**
+ * Select or deselect all items matching the current search query
+ */
+function selectMatchingItems(type, selected) {
+    const matchingKeys = getMatchingItems(type).map(item => item.key);
+
+    if (selected) {
+        matchingKeys.forEach(key => {
+            if (!tempFilterSelections[type].includes(key)) {
+                tempFilterSelections[type].push(key);
+            }
+        });
+    } else {
+        tempFilterSelections[type] = tempFilterSelections[type].filter(key => !matchingKeys.includes(key));
+    }
+
+    updateAllFilterCheckboxes();
+    updateGroupSelectAllCheckbox(type);
+    checkFilterChanges();
+}
+
+/**
+ * Get normalized texts an item can be found by:
+ * names in every language, the romaji reading of the Japanese name and the key
+ */
+function getSearchTexts(type, item) {
+    const texts = [item.key];
+
+    if (item.name && typeof item.name === 'object') {
+        Object.values(item.name).forEach(name => {
+            if (typeof name === 'string') texts.push(name);
+        });
+    } else {
+        texts.push(getItemName(type, item));
+    }
+
+    const japaneseName = item.name && item.name['ja_JP'];
+    if (japaneseName) {
+        texts.push(toRomaji(normalizeSearchText(japaneseName)));
+    }
+
+    return texts.map(normalizeSearchText);
+}
+
+/**
+ * Normalize text for search: full/half-width (NFKC), case,
+ * katakana to hiragana, and spaces/punctuation removed
+ */
+function normalizeSearchText(text) {
+    return text
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\u30a1-\u30f6]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+        .replace(/[\s・.\-'’]/g, '');
+}
+
+/**
+ * Convert hiragana to Hepburn romaji, leaving other characters as they are
+ */
+function toRomaji(text) {
+    let result = '';
+    let doubleNext = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        // Small tsu doubles the next consonant
+        if (char === 'っ') {
+            doubleNext = true;
+            continue;
+        }
+        // Long vowel mark has no romaji of its own
+        if (char === 'ー') continue;
+
+        const pair = text.substr(i, 2);
+        let romaji = KANA_ROMAJI[pair];
+        if (romaji) {
+            i++;
+        } else {
+            romaji = KANA_ROMAJI[char] || char;
+        }
+
+        if (doubleNext) {
+            result += romaji.startsWith('ch') ? 't' : romaji[0];
+            doubleNext = false;
+        }
+        result += romaji;
+    }
+
+    return result;
+}
+
 // ========== Roulette Logic ==========
 
 /**
@@ -843,11 +2152,14 @@ function getAvailableItems(type) {
 }
 
 /**
- * Get Japanese name for item
+ * Get localized name for item
  */
 function getItemName(type, item) {
-    // Try to get Japanese name first, fallback to name
-    if (item.name && item.name['ja_JP']) {
+    // Try the current language first, then Japanese, then any name
+    const locale = LANGUAGES[currentLanguage].locale;
+    if (item.name && item.name[locale]) {
+        return item.name[locale];
+    } else if (item.name && item.name['ja_JP']) {
         return item.name['ja_JP'];
     } else if (item.name && typeof item.name === 'object') {
         // If name is an object, find any string value
@@ -867,24 +2179,61 @@ function getItemName(type, item) {
  */
 function selectRandomItem(items) {
     if (items.length === 0) return null;
-    return items[Math.floor(Math.random() * items.length)];
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Select random item with the given weights (same order as items)
+ * Falls back to uniform selection if every weight is zero
+ */
+function selectWeightedItem(items, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (items.length === 0 || total <= 0) return selectRandomItem(items);
+
+    let threshold = random() * total;
+    for (let i = 0; i < items.length; i++) {
+        threshold -= weights[i];
+        if (threshold < 0) return items[i];
+    }
+    return items[items.length - 1];
+}
+
+/**
+ * Select an item for a category (and member, for weapons) using the
+ * item weights and anti-repeat settings of the roll context
+ */
+function selectItemFor(type, items, memberId, context) {
+    const candidates = type === 'weapon' ? getBagCandidates(items, memberId, context) : items;
+    return selectWeightedItem(candidates, getItemWeights(type, candidates, memberId, context));
 }
 
 /**
  * Run roulette for specific type
+ * context holds the settings loaded for the roll (see createRollContext).
+ * Locked results are kept. If onlyMemberId is given, only that member's
+ * weapon is re-rolled and the other members' weapons are kept.
  */
-function runRoulette(type) {
-    const memberCount = parseInt(document.getElementById('memberCount').value);
-    const availableItems = getAvailableItems(type);
+function runRoulette(type, context, onlyMemberId) {
+    const availableItems = type === 'stage' ? getStagePool() : getAvailableItems(type);
 
     if (availableItems.length === 0) {
-        alert(`利用可能な${getTypeName(type)}がありません`);
+        alert(t('roulette.noItems', { type: getTypeName(type) }));
         return;
     }
 
     if (type === 'rule' || type === 'stage') {
         // For rule and stage, use common result display (single item)
-        const item = selectRandomItem(availableItems);
+        const resultKey = `common-${type}`;
+        if (lockedResults.has(resultKey)) return;
+
+        if (type === 'stage' && isTricolorRound() &&
+            !availableItems.some(stage => getTricolorStages().includes(stage.key))) {
+            showRouletteWarning(t('tricolor.noStages'));
+        }
+
+        const item = selectItemFor(type, availableItems, undefined, context);
+        if (!context.replay) recordRecentPick(type, item.key);
+        currentResults[resultKey] = item;
         const resultElementId = type === 'rule' ? 'commonRule' : 'commonStage';
         const resultElement = document.getElementById(resultElementId);
 
@@ -893,14 +2242,42 @@ function runRoulette(type) {
             setTimeout(() => {
                 resultElement.classList.add('spinning');
                 resultElement.textContent = getItemName(type, item);
-                currentResults[`common-${type}`] = item;
             }, 10);
         }
     } else {
         // For weapons, show individual results for each member
-        for (let i = 1; i <= memberCount; i++) {
-            const item = selectRandomItem(availableItems);
-            const resultElement = document.querySelector(`#result-${i} .result-${type}`);
+        const memberIds = getActiveMembers().map(member => member.id);
+
+        // Locked weapons (and the other members' weapons on a single re-roll) are kept
+        const fixedPicks = {};
+        memberIds.forEach(memberId => {
+            const resultKey = getWeaponResultKey(memberId);
+            const keep = lockedResults.has(resultKey) || (onlyMemberId !== undefined && memberId !== onlyMemberId);
+            if (keep && currentResults[resultKey]) {
+                fixedPicks[memberId] = currentResults[resultKey];
+            }
+        });
+        const rolledMemberIds = memberIds.filter(memberId => !fixedPicks[memberId]);
+        if (rolledMemberIds.length === 0) return;
+
+        const memberItems = {};
+        memberIds.forEach(memberId => {
+            memberItems[memberId] = getMemberWeaponItems(memberId);
+        });
+        const picks = pickWeapons(memberIds, memberItems, fixedPicks, context);
+        rolledMemberIds.forEach(memberId => {
+            if (!context.replay) {
+                recordRecentPick(type, picks[memberId].key, memberId);
+                drawFromWeaponBag(memberId, picks[memberId].key);
+            }
+            currentResults[getWeaponResultKey(memberId)] = picks[memberId];
+        });
+        updateBagProgress();
+
+        rolledMemberIds.forEach(memberId => {
+            const item = picks[memberId];
+            const card = document.getElementById(`result-${memberId}`);
+            const resultElement = card ? card.querySelector(`.result-${type}`) : null;
 
             if (resultElement) {
                 // Add animation
@@ -908,180 +2285,4020 @@ function runRoulette(type) {
                 setTimeout(() => {
                     resultElement.classList.add('spinning');
                     resultElement.textContent = getItemName(type, item);
-                    currentResults[`${i}-${type}`] = item;
                 }, 10);
             }
-        }
+        });
     }
+
+    updateResultControls();
 }
 
 /**
- * Run all roulettes
+ * Pick a weapon for each member according to the duplicate mode
+ * (and the team balance rules when enabled with teams divided)
+ * memberItems maps each member to the weapons they can get, and
+ * fixedPicks holds weapons that are kept as they are.
+ * Returns { memberId: item } and shows warnings for fallbacks.
  */
-function runAllRoulette() {
-    // Update result cards with latest member names before running roulettes
-    initializeResults();
+function pickWeapons(memberIds, memberItems, fixedPicks, context) {
+    memberIds.forEach(memberId => {
+        if (!fixedPicks[memberId] && isMemberPoolFallback(memberId)) {
+            showRouletteWarning(t('memberPool.emptyFallback', { name: getMemberName(memberId) }));
+        }
+    });
+
+    const useBalance = isTeamBalanceEnabled() && Object.keys(currentTeams).length > 0;
+    const result = useBalance
+        ? generateBalancedWeaponPicks(memberIds, memberItems, fixedPicks, context)
+        : generateWeaponPicks(memberIds, memberItems, fixedPicks, context);
+
+    if (result.shortGroupSize > 0) {
+        showRouletteWarning(t('roulette.duplicateFallback', {
+            count: result.shortPoolSize,
+            players: result.shortGroupSize
+        }));
+    }
+    if (result.violations > 0) {
+        showRouletteWarning(t('balance.unsatisfied'));
+    }
+
+    return result.picks;
+}
+
+/**
+ * Generate one set of weapon picks honoring the duplicate mode
+ * If the pool is smaller than a group, duplicates are kept to a minimum
+ * and shortGroupSize / shortPoolSize report the largest such group and its pool size.
+ */
+function generateWeaponPicks(memberIds, memberItems, fixedPicks, context) {
+    const mode = getWeaponDuplicateMode();
+    const picks = {};
+    let shortGroupSize = 0;
+    let shortPoolSize = 0;
+
+    if (mode === 'none') {
+        memberIds.forEach(memberId => {
+            picks[memberId] = fixedPicks[memberId] || selectItemFor('weapon', memberItems[memberId], memberId, context);
+        });
+        return { picks: picks, shortGroupSize: 0, shortPoolSize: 0 };
+    }
+
+    // Lobby mode uses a single group; team mode groups by current team
+    // (members without a team, e.g. with team division off, share one group)
+    const groups = {};
+    memberIds.forEach(memberId => {
+        const groupKey = mode === 'team' ? (currentTeams[memberId] || '') : '';
+        if (!groups[groupKey]) groups[groupKey] = [];
+        groups[groupKey].push(memberId);
+    });
+
+    Object.values(groups).forEach(groupMemberIds => {
+        const result = pickUniqueItems(memberItems, groupMemberIds, fixedPicks, context);
+        if (result.duplicated && groupMemberIds.length > shortGroupSize) {
+            shortGroupSize = groupMemberIds.length;
+            shortPoolSize = countUniqueItems(groupMemberIds.map(memberId => memberItems[memberId]));
+        }
+        Object.assign(picks, result.picks);
+    });
+
+    return { picks: picks, shortGroupSize: shortGroupSize, shortPoolSize: shortPoolSize };
+}
+
+/**
+ * Pick a weapon for each member without repeats
+ * Fixed picks are taken first, then members with the fewest weapons pick;
+ * a member whose weapons have all been taken gets a duplicate.
+ * Returns { picks: { memberId: item }, duplicated }
+ */
+function pickUniqueItems(memberItems, memberIds, fixedPicks, context) {
+    const picks = {};
+    const pickedKeys = [];
+    let duplicated = false;
+
+    memberIds.filter(memberId => fixedPicks[memberId]).forEach(memberId => {
+        if (pickedKeys.includes(fixedPicks[memberId].key)) duplicated = true;
+        picks[memberId] = fixedPicks[memberId];
+        pickedKeys.push(fixedPicks[memberId].key);
+    });
+
+    const order = memberIds
+        .filter(memberId => !fixedPicks[memberId])
+        .sort((a, b) => memberItems[a].length - memberItems[b].length);
+    order.forEach(memberId => {
+        let pool = memberItems[memberId].filter(item => !pickedKeys.includes(item.key));
+        if (pool.length === 0) {
+            pool = memberItems[memberId];
+            duplicated = true;
+        }
+        const item = selectItemFor('weapon', pool, memberId, context);
+        picks[memberId] = item;
+        pickedKeys.push(item.key);
+    });
+
+    return { picks: picks, duplicated: duplicated };
+}
+
+/**
+ * Count distinct items across several item lists
+ */
+function countUniqueItems(itemLists) {
+    const keys = new Set();
+    itemLists.forEach(items => items.forEach(item => keys.add(item.key)));
+    return keys.size;
+}
+
+/**
+ * Lock or unlock a result so it is kept on re-rolls
+ */
+function toggleResultLock(resultKey) {
+    if (lockedResults.has(resultKey)) {
+        lockedResults.delete(resultKey);
+    } else if (currentResults[resultKey]) {
+        lockedResults.add(resultKey);
+    }
+    updateResultControls();
+}
+
+/**
+ * Re-roll a single result (the common rule or stage, or one member's weapon)
+ * The seed shown for the previous roll no longer reproduces the results.
+ */
+function rerollResult(resultKey) {
+    if (lockedResults.has(resultKey)) return;
+
+    clearRollSeed();
+    clearRouletteWarning();
+    const context = createRollContext();
+    if (resultKey === 'common-rule') {
+        rollRule(context);
+    } else if (resultKey === 'common-stage') {
+        runRoulette('stage', context);
+    } else {
+        runRoulette('weapon', context, getResultMemberId(resultKey));
+    }
+    renderOddsView();
+    syncCurrentHistoryEntry();
+}
+
+/**
+ * Sync lock and re-roll buttons with the current results
+ */
+function updateResultControls() {
+    document.querySelectorAll('.btn-result-lock').forEach(button => {
+        const resultKey = button.dataset.result;
+        const locked = lockedResults.has(resultKey);
+        button.textContent = locked ? '🔒' : '🔓';
+        button.title = t(locked ? 'results.unlock' : 'results.lock');
+        button.classList.toggle('locked', locked);
+        button.disabled = !currentResults[resultKey];
+    });
+
+    document.querySelectorAll('.btn-result-reroll').forEach(button => {
+        button.textContent = '🎲';
+        button.title = t('results.reroll');
+        button.disabled = lockedResults.has(button.dataset.result);
+    });
+
+    document.querySelectorAll('.result-card').forEach(card => {
+        card.classList.toggle('locked', lockedResults.has(getWeaponResultKey(card.dataset.memberId)));
+    });
+}
+
+/**
+ * Get the saved weapon duplicate mode
+ */
+function getWeaponDuplicateMode() {
+    const saved = localStorage.getItem(WEAPON_DUPLICATE_MODE_KEY);
+    return WEAPON_DUPLICATE_MODES.includes(saved) ? saved : 'none';
+}
+
+/**
+ * Initialize weapon duplicate mode select
+ */
+function initializeWeaponDuplicateModeSelect() {
+    const select = document.getElementById('weaponDuplicateMode');
+    if (!select) return;
+
+    select.value = getWeaponDuplicateMode();
+    select.addEventListener('change', () => {
+        localStorage.setItem(WEAPON_DUPLICATE_MODE_KEY, select.value);
+    });
+}
+
+/**
+ * Show a non-blocking warning above the roulette results
+ */
+function showRouletteWarning(message) {
+    const warning = document.getElementById('rouletteWarning');
+    if (!warning) return;
+
+    // Multiple warnings are shown one per line
+    const line = document.createElement('div');
+    line.textContent = message;
+    warning.appendChild(line);
+    warning.style.display = '';
+}
+
+/**
+ * Hide the roulette warning
+ */
+function clearRouletteWarning() {
+    const warning = document.getElementById('rouletteWarning');
+    if (!warning) return;
+    warning.textContent = '';
+    warning.style.display = 'none';
+}
+
+/**
+ * Run all roulettes
+ */
+function runAllRoulette() {
+    const { seed, replay } = takeRollSeed();
+    clearRouletteWarning();
+
+    // Each full roll is a new round, so rotate who sits out. A replayed seed
+    // keeps the current spectators, as the rotation depends on earlier rounds.
+    if (!replay && getSitOutCount() > 0) {
+        withSeededRandom(seed, 'spectators', () => rotateSpectators());
+    }
+
+    // Update result cards with latest member names before running roulettes
+    initializeResults();
+
+    // Settings are loaded once the members playing this round are known
+    const context = createRollContext(replay);
+
+    // The rule comes first, as Tricolor Turf War changes the teams and stages
+    withSeededRandom(seed, 'rule', () => runRoulette('rule', context));
+
+    // Apply team division if enabled (always for Tricolor Turf War),
+    // or clear teams left over from a previous Tricolor Turf War roll.
+    // If the members cannot be divided, the roll stops here so that weapon
+    // balance and the match history never see an invalid split.
+    const teamDivisionEnabled = document.getElementById('teamDivisionToggle').checked;
+    if (!withSeededRandom(seed, 'teams', () => applyTeamDivisionState(teamDivisionEnabled))) {
+        renderOddsView();
+        return;
+    }
+
+    withSeededRandom(seed, 'stage', () => runRoulette('stage', context));
+    withSeededRandom(seed, 'weapon', () => runRoulette('weapon', context));
+    renderOddsView();
+    showRollSeed(seed, 'all');
+    recordMatchHistory(seed);
+}
+
+/**
+ * Run rule roulette only
+ */
+function runRuleRoulette() {
+    runSeededRoll('rule', context => rollRule(context));
+}
+
+/**
+ * Run stage roulette only
+ */
+function runStageRoulette() {
+    runSeededRoll('stage', context => runRoulette('stage', context));
+}
+
+/**
+ * Run weapon roulette only
+ */
+function runWeaponRoulette() {
+    runSeededRoll('weapon', context => runRoulette('weapon', context));
+}
+
+/**
+ * Run team division only
+ */
+function runTeamDivision() {
+    runSeededRoll('teams', () => divideTeams());
+}
+
+// ========== Weights & Anti-Repeat ==========
+
+/**
+ * Load the settings that affect item selection once for a roll
+ * Recent picks and weapon bags change with every roll, so a replayed seed
+ * leaves anti-repeat and bag mode out to get the same results on any later replay.
+ * Its picks are not recorded either, so a replay never changes later live rolls.
+ */
+function createRollContext(replay = false) {
+    const antiRepeatMode = replay ? 'off' : getAntiRepeatMode();
+    return {
+        replay: replay,
+        weights: areWeightsEnabled() ? loadItemWeights() : null,
+        antiRepeatMode: antiRepeatMode,
+        antiRepeatCount: getAntiRepeatCount(),
+        recentPicks: antiRepeatMode === 'off' ? {} : loadRecentPicks(),
+        // { memberId: Set of drawn keys }, or null without bag mode
+        drawnWeaponKeys: !replay && isBagModeEnabled() ? loadDrawnWeaponKeys() : null
+    };
+}
+
+/**
+ * Get the selection weight of each item (same order as items)
+ * Combines the per-item weight with the anti-repeat factor for recent picks.
+ * If strict anti-repeat would exclude every item, it is ignored.
+ */
+function getItemWeights(type, items, memberId, context) {
+    const baseWeights = items.map(item => getItemWeight(type, item.key, context.weights));
+    const mode = context.antiRepeatMode;
+    if (mode === 'off') return baseWeights;
+
+    const recentKeys = getRecentPicks(type, memberId, context.recentPicks).slice(0, context.antiRepeatCount);
+    const factor = mode === 'strict' ? 0 : ANTI_REPEAT_SOFT_FACTOR;
+    const weights = items.map((item, index) =>
+        recentKeys.includes(item.key) ? baseWeights[index] * factor : baseWeights[index]
+    );
+
+    return weights.some(weight => weight > 0) ? weights : baseWeights;
+}
+
+/**
+ * Get the per-item weight from the loaded weights
+ * (1 unless set, or if weights is null because they are disabled)
+ */
+function getItemWeight(type, key, weights) {
+    if (!weights) return 1;
+    const weight = weights[type] ? weights[type][key] : undefined;
+    return WEIGHT_OPTIONS.includes(weight) ? weight : 1;
+}
+
+/**
+ * Check if per-item weights are enabled
+ */
+function areWeightsEnabled() {
+    return localStorage.getItem(WEIGHTS_ENABLED_KEY) === 'true';
+}
+
+/**
+ * Load per-item weights from localStorage
+ */
+function loadItemWeights() {
+    try {
+        const saved = localStorage.getItem(ITEM_WEIGHTS_KEY);
+        if (saved) {
+            return JSON.parse(saved) || {};
+        }
+    } catch (error) {
+        console.error('Error loading item weights:', error);
+    }
+    return {};
+}
+
+/**
+ * Save the weight of one item (weight 1 is the default and is not stored)
+ */
+function setItemWeight(type, key, weight) {
+    const weights = loadItemWeights();
+    if (!weights[type]) weights[type] = {};
+    if (weight === 1) {
+        delete weights[type][key];
+    } else {
+        weights[type][key] = weight;
+    }
+    localStorage.setItem(ITEM_WEIGHTS_KEY, JSON.stringify(weights));
+    renderOddsView();
+}
+
+/**
+ * Create the weight select shown next to a filter item
+ */
+function createWeightSelect(type, item) {
+    const select = document.createElement('select');
+    select.className = 'filter-weight';
+    select.title = t('weights.title');
+
+    WEIGHT_OPTIONS.forEach(weight => {
+        const option = document.createElement('option');
+        option.value = weight;
+        option.textContent = `×${weight}`;
+        select.appendChild(option);
+    });
+
+    const weights = loadItemWeights();
+    const saved = weights[type] ? weights[type][item.key] : undefined;
+    select.value = WEIGHT_OPTIONS.includes(saved) ? saved : 1;
+    select.addEventListener('change', () => setItemWeight(type, item.key, parseFloat(select.value)));
+    return select;
+}
+
+/**
+ * Show or hide the weight selects in the filter lists
+ */
+function updateWeightVisibility() {
+    const filterSettings = document.querySelector('.filter-settings');
+    if (filterSettings) {
+        filterSettings.classList.toggle('show-weights', areWeightsEnabled());
+    }
+}
+
+/**
+ * Get the saved anti-repeat mode
+ */
+function getAntiRepeatMode() {
+    const saved = localStorage.getItem(ANTI_REPEAT_MODE_KEY);
+    return ANTI_REPEAT_MODES.includes(saved) ? saved : 'off';
+}
+
+/**
+ * Get the number of recent rolls considered by anti-repeat
+ */
+function getAntiRepeatCount() {
+    const saved = parseInt(localStorage.getItem(ANTI_REPEAT_COUNT_KEY));
+    return isNaN(saved) || saved < 1 ? DEFAULT_ANTI_REPEAT_COUNT : Math.min(saved, RECENT_PICKS_LIMIT);
+}
+
+/**
+ * Load recently picked keys from localStorage
+ */
+function loadRecentPicks() {
+    try {
+        const saved = localStorage.getItem(RECENT_PICKS_KEY);
+        if (saved) {
+            const recent = JSON.parse(saved);
+            if (recent && typeof recent === 'object') return recent;
+        }
+    } catch (error) {
+        console.error('Error loading recent picks:', error);
+    }
+    return {};
+}
+
+/**
+ * Get recently picked keys for a category (per member for weapons)
+ */
+function getRecentPicks(type, memberId, recent = loadRecentPicks()) {
+    const list = type === 'weapon' ? (recent.weapon || {})[memberId] : recent[type];
+    return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Record a picked key for a category (per member for weapons)
+ * The odds view is not updated here; callers render it once per roll.
+ */
+function recordRecentPick(type, key, memberId) {
+    const recent = loadRecentPicks();
+    if (type === 'weapon') {
+        if (!recent.weapon || typeof recent.weapon !== 'object') recent.weapon = {};
+        recent.weapon[memberId] = [key].concat(recent.weapon[memberId] || []).slice(0, RECENT_PICKS_LIMIT);
+    } else {
+        recent[type] = [key].concat(recent[type] || []).slice(0, RECENT_PICKS_LIMIT);
+    }
+
+    try {
+        localStorage.setItem(RECENT_PICKS_KEY, JSON.stringify(recent));
+    } catch (error) {
+        console.error('Error saving recent picks:', error);
+    }
+}
+
+/**
+ * Clear the anti-repeat history
+ */
+function resetRecentPicks() {
+    localStorage.removeItem(RECENT_PICKS_KEY);
+    renderOddsView();
+}
+
+/**
+ * Initialize weight and anti-repeat settings
+ */
+function initializeWeightSettings() {
+    const weightsToggle = document.getElementById('weightsToggle');
+    if (weightsToggle) {
+        weightsToggle.checked = areWeightsEnabled();
+        weightsToggle.addEventListener('change', () => {
+            localStorage.setItem(WEIGHTS_ENABLED_KEY, weightsToggle.checked);
+            updateWeightVisibility();
+            renderOddsView();
+        });
+    }
+    updateWeightVisibility();
+
+    const modeSelect = document.getElementById('antiRepeatMode');
+    if (modeSelect) {
+        modeSelect.value = getAntiRepeatMode();
+        modeSelect.addEventListener('change', () => {
+            localStorage.setItem(ANTI_REPEAT_MODE_KEY, modeSelect.value);
+            renderOddsView();
+        });
+    }
+
+    const countInput = document.getElementById('antiRepeatCount');
+    if (countInput) {
+        countInput.max = RECENT_PICKS_LIMIT;
+        countInput.value = getAntiRepeatCount();
+        countInput.addEventListener('change', () => {
+            localStorage.setItem(ANTI_REPEAT_COUNT_KEY, countInput.value);
+            countInput.value = getAntiRepeatCount();
+            renderOddsView();
+        });
+    }
+
+    const oddsTarget = document.getElementById('oddsTarget');
+    if (oddsTarget) {
+        oddsTarget.addEventListener('change', renderOddsView);
+    }
+}
+
+/**
+ * Toggle the odds view
+ */
+function toggleOddsView() {
+    const view = document.getElementById('oddsView');
+    if (!view) return;
+    view.style.display = view.style.display === 'none' ? '' : 'none';
+    renderOddsView();
+}
+
+/**
+ * Render the odds of each item for the next roll of the selected target
+ * Targets are rule, stage and each member's weapon. Duplicate and
+ * balance modes are not reflected, as they depend on the other picks.
+ */
+function renderOddsView() {
+    const view = document.getElementById('oddsView');
+    const targetSelect = document.getElementById('oddsTarget');
+    const table = document.getElementById('oddsTable');
+    if (!view || !targetSelect || !table || view.style.display === 'none') return;
+
+    // Rebuild target options (members may have changed)
+    const previousTarget = targetSelect.value;
+    targetSelect.innerHTML = '';
+    const targets = [
+        { value: 'rule', label: getTypeName('rule') },
+        { value: 'stage', label: getTypeName('stage') }
+    ];
+    getActiveMembers().forEach(member => {
+        targets.push({ value: `weapon:${member.id}`, label: `${getTypeName('weapon')} - ${getMemberName(member.id)}` });
+    });
+    targets.forEach(target => {
+        const option = document.createElement('option');
+        option.value = target.value;
+        option.textContent = target.label;
+        targetSelect.appendChild(option);
+    });
+    targetSelect.value = targets.some(target => target.value === previousTarget) ? previousTarget : 'rule';
+
+    const [type, memberId] = targetSelect.value.split(':');
+    const context = createRollContext();
+    const items = type === 'weapon'
+        ? getBagCandidates(getMemberWeaponItems(memberId), memberId, context)
+        : (type === 'stage' ? getStagePool() : getAvailableItems(type));
+    const weights = getItemWeights(type, items, memberId, context);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const rows = items.map((item, index) => ({
+        name: getItemName(type, item),
+        odds: total > 0 ? weights[index] / total : 1 / items.length
+    })).sort((a, b) => b.odds - a.odds);
+
+    table.innerHTML = '';
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const nameCell = document.createElement('td');
+        nameCell.textContent = row.name;
+        const oddsCell = document.createElement('td');
+        oddsCell.className = 'odds-value';
+        oddsCell.textContent = `${(row.odds * 100).toFixed(1)}%`;
+        tr.appendChild(nameCell);
+        tr.appendChild(oddsCell);
+        table.appendChild(tr);
+    });
+}
+
+// ========== Member Roster ==========
+
+/**
+ * Load the roster and render the member section
+ */
+function initializeMemberRoster() {
+    roster = loadRoster();
+    rosterDraft = cloneRoster(roster);
+    pairConstraintsDraft = loadPairConstraints();
+    initializeSpectators();
+    renderMemberRoster();
+}
+
+/**
+ * Load the roster from localStorage, migrating numbered name slots if needed
+ */
+function loadRoster() {
+    try {
+        const saved = localStorage.getItem(ROSTER_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (Array.isArray(parsed)) {
+                return parsed
+                    .filter(member => member && typeof member.id === 'string')
+                    .map(member => ({
+                        id: member.id,
+                        name: typeof member.name === 'string' ? member.name : '',
+                        rating: typeof member.rating === 'number' ? member.rating : null,
+                        attending: member.attending !== false
+                    }));
+            }
+        }
+    } catch (error) {
+        console.error('Error loading roster:', error);
+    }
+
+    const migrated = migrateLegacyMembers();
+    roster = migrated;
+    saveRoster();
+    return migrated;
+}
+
+/**
+ * Build a roster from the old memberCount / memberName{n} / memberRating{n} keys
+ * Settings keyed by slot number (weapon pools, bags, recent picks and
+ * pairing constraints) are re-keyed to the new member IDs.
+ */
+function migrateLegacyMembers() {
+    const memberCount = parseInt(localStorage.getItem('memberCount')) || 1;
+    const members = [];
+    const slotIds = {};
+
+    for (let i = 1; i <= 8; i++) {
+        const name = localStorage.getItem(`memberName${i}`);
+        if (i > memberCount && name === null) continue;
+
+        const rating = parseFloat(localStorage.getItem(`memberRating${i}`));
+        const member = {
+            id: generateMemberId(),
+            name: name !== null ? name : '',
+            rating: isNaN(rating) ? null : rating,
+            attending: i <= memberCount
+        };
+        members.push(member);
+        slotIds[i] = member.id;
+    }
+
+    const remap = (object) => {
+        const remapped = {};
+        Object.keys(object || {}).forEach(slot => {
+            if (slotIds[slot]) remapped[slotIds[slot]] = object[slot];
+        });
+        return remapped;
+    };
+
+    saveMemberWeaponPools(remap(loadMemberWeaponPools()));
+    saveWeaponBags(remap(loadWeaponBags()));
+    const recent = loadRecentPicks();
+    if (recent.weapon) {
+        recent.weapon = remap(recent.weapon);
+        localStorage.setItem(RECENT_PICKS_KEY, JSON.stringify(recent));
+    }
+    savePairConstraints(loadPairConstraints()
+        .filter(constraint => constraint.members.every(slot => slotIds[slot]))
+        .map(constraint => ({ type: constraint.type, members: constraint.members.map(slot => slotIds[slot]) })));
+
+    localStorage.removeItem('memberCount');
+    for (let i = 1; i <= 8; i++) {
+        localStorage.removeItem(`memberName${i}`);
+        localStorage.removeItem(`memberRating${i}`);
+    }
+
+    return members;
+}
+
+/**
+ * Save the confirmed roster to localStorage
+ */
+function saveRoster() {
+    localStorage.setItem(ROSTER_KEY, JSON.stringify(roster));
+}
+
+/**
+ * Copy a roster so the draft can be edited separately
+ */
+function cloneRoster(members) {
+    return members.map(member => Object.assign({}, member));
+}
+
+/**
+ * Generate a stable member ID
+ * Uses Math.random directly so seeded rolls are not affected.
+ */
+function generateMemberId() {
+    return 'm' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Get the confirmed members who are attending today (including spectators)
+ */
+function getAttendingMembers() {
+    return roster.filter(member => member.attending);
+}
+
+/**
+ * Get the members playing this round (attending and not sitting out)
+ */
+function getActiveMembers() {
+    return getAttendingMembers().filter(member => !currentSpectators.includes(member.id));
+}
+
+/**
+ * Find a member in the confirmed roster, or in the draft for members not confirmed yet
+ */
+function findMember(memberId) {
+    return roster.find(member => member.id === memberId) ||
+        rosterDraft.find(member => member.id === memberId) || null;
+}
+
+/**
+ * Get the display name of a member
+ * Members without a name are shown with a numbered default name.
+ */
+function getMemberName(memberId) {
+    const member = findMember(memberId);
+    if (member && member.name) return member.name;
+
+    const index = rosterDraft.findIndex(draftMember => draftMember.id === memberId);
+    return t('member.defaultName', { n: index >= 0 ? index + 1 : rosterDraft.length + 1 });
+}
+
+/**
+ * Add a member to the roster draft
+ */
+function addRosterMember() {
+    rosterDraft.push({
+        id: generateMemberId(),
+        name: '', // getMemberName shows the default name in the current language
+        rating: null,
+        attending: true
+    });
+    renderMemberRoster();
+    checkMemberChanges();
+}
+
+/**
+ * Remove a member from the roster draft
+ */
+function removeRosterMember(memberId) {
+    rosterDraft = rosterDraft.filter(member => member.id !== memberId);
+    pairConstraintsDraft = pairConstraintsDraft.filter(constraint => !constraint.members.includes(memberId));
+    renderMemberRoster();
+    checkMemberChanges();
+}
+
+/**
+ * Show how many members in the draft are attending, and how many sit out each round
+ */
+function updateAttendingCount() {
+    const countElement = document.getElementById('attendingCount');
+    if (!countElement) return;
+
+    const attendingCount = rosterDraft.filter(member => member.attending).length;
+    const sitOutCount = Math.max(0, attendingCount - getPlayersPerRound());
+    countElement.textContent = sitOutCount > 0
+        ? t('member.countWithSpectators', { n: attendingCount, spectators: sitOutCount })
+        : t('member.countOption', { n: attendingCount });
+}
+
+/**
+ * Drop per-member settings of members no longer in the roster
+ */
+function pruneMemberData(memberIds) {
+    const keep = (object) => {
+        const kept = {};
+        Object.keys(object || {}).forEach(memberId => {
+            if (memberIds.includes(memberId)) kept[memberId] = object[memberId];
+        });
+        return kept;
+    };
+
+    saveMemberWeaponPools(keep(loadMemberWeaponPools()));
+    saveWeaponBags(keep(loadWeaponBags()));
+    const recent = loadRecentPicks();
+    if (recent.weapon) {
+        recent.weapon = keep(recent.weapon);
+        localStorage.setItem(RECENT_PICKS_KEY, JSON.stringify(recent));
+    }
+    savePairConstraints(loadPairConstraints()
+        .filter(constraint => constraint.members.every(memberId => memberIds.includes(memberId))));
+}
+
+/**
+ * Get the result key of a member's weapon
+ */
+function getWeaponResultKey(memberId) {
+    return `${memberId}-weapon`;
+}
+
+/**
+ * Get the member ID of a weapon result key, or null for common results
+ */
+function getResultMemberId(resultKey) {
+    return resultKey.endsWith('-weapon') ? resultKey.slice(0, -'-weapon'.length) : null;
+}
+
+// ========== Lobby Rotation ==========
+
+/**
+ * Get the number of player slots per round
+ */
+function getPlayersPerRound() {
+    const saved = parseInt(localStorage.getItem(PLAYERS_PER_ROUND_KEY));
+    return isNaN(saved) || saved < 1 || saved > MAX_PLAYERS ? DEFAULT_PLAYERS_PER_ROUND : saved;
+}
+
+/**
+ * Initialize player slots select
+ */
+function initializePlayersPerRoundSelect() {
+    const select = document.getElementById('playersPerRound');
+    if (!select) return;
+
+    select.value = getPlayersPerRound();
+    select.addEventListener('change', () => {
+        localStorage.setItem(PLAYERS_PER_ROUND_KEY, select.value);
+        updateAttendingCount();
+        if (initializeSpectators()) {
+            applySpectatorChange();
+        }
+    });
+}
+
+/**
+ * Load the sit-out rotation state from localStorage
+ */
+function loadSitOutState() {
+    try {
+        const saved = localStorage.getItem(SIT_OUT_STATE_KEY);
+        if (saved) {
+            const state = JSON.parse(saved);
+            if (state && Array.isArray(state.cycle) && Array.isArray(state.current)) {
+                return state;
+            }
+        }
+    } catch (error) {
+        console.error('Error loading sit-out state:', error);
+    }
+    return { cycle: [], current: [] };
+}
+
+/**
+ * Save the sit-out rotation state to localStorage
+ */
+function saveSitOutState(state) {
+    localStorage.setItem(SIT_OUT_STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Get how many attending members sit out each round
+ */
+function getSitOutCount() {
+    return Math.max(0, getAttendingMembers().length - getPlayersPerRound());
+}
+
+/**
+ * Restore the members sitting out, choosing new ones if the saved
+ * ones no longer fit the attending members
+ * Returns true if the spectators changed.
+ */
+function initializeSpectators() {
+    const attendingIds = getAttendingMembers().map(member => member.id);
+    const saved = loadSitOutState().current.filter(memberId => attendingIds.includes(memberId));
+    const previous = currentSpectators;
+
+    if (saved.length === getSitOutCount()) {
+        currentSpectators = saved;
+    } else {
+        rotateSpectators();
+    }
+    return previous.join() !== currentSpectators.join();
+}
+
+/**
+ * Choose who sits out this round
+ * Members who have not sat out in the current cycle go first; once
+ * everyone has, a new cycle starts.
+ */
+function rotateSpectators() {
+    const attendingIds = getAttendingMembers().map(member => member.id);
+    const needed = getSitOutCount();
+    const state = loadSitOutState();
+    // The cycle is kept in sit-out order, earliest first
+    let cycle = state.cycle.filter(memberId => attendingIds.includes(memberId));
+    const candidates = attendingIds.filter(memberId => !cycle.includes(memberId));
+
+    let chosen;
+    if (candidates.length <= needed) {
+        // Everyone left in the cycle sits out, topped up with those who sat
+        // out the longest ago; they all start the new cycle
+        const extra = cycle.slice(0, needed - candidates.length);
+        chosen = candidates.concat(extra);
+        cycle = chosen;
+    } else {
+        chosen = shuffleArray(candidates).slice(0, needed);
+        cycle = cycle.concat(chosen);
+    }
+
+    currentSpectators = chosen;
+    saveSitOutState({ cycle: cycle, current: chosen });
+    updateSpectatorList();
+}
+
+/**
+ * Re-render results after the members sitting out changed
+ */
+function applySpectatorChange() {
+    const activeIds = getActiveMembers().map(member => member.id);
+    Object.keys(currentTeams).forEach(memberId => {
+        if (!activeIds.includes(memberId)) delete currentTeams[memberId];
+    });
+    initializeResults();
+    renderOddsView();
+    renderPairConstraints();
+}
+
+/**
+ * Show who is sitting out this round
+ */
+function updateSpectatorList() {
+    const list = document.getElementById('spectatorList');
+    if (!list) return;
+
+    if (currentSpectators.length === 0) {
+        list.style.display = 'none';
+        return;
+    }
+    list.textContent = t('lobby.spectators', {
+        names: currentSpectators.map(memberId => getMemberName(memberId)).join(', ')
+    });
+    list.style.display = '';
+}
+
+// ========== Member Weapon Pools ==========
+
+/**
+ * Load per-member weapon pools from localStorage
+ */
+function loadMemberWeaponPools() {
+    try {
+        const saved = localStorage.getItem(MEMBER_WEAPON_POOLS_KEY);
+        if (saved) {
+            const pools = JSON.parse(saved);
+            if (pools && typeof pools === 'object') return pools;
+        }
+    } catch (error) {
+        console.error('Error loading member weapon pools:', error);
+    }
+    return {};
+}
+
+/**
+ * Save per-member weapon pools to localStorage
+ */
+function saveMemberWeaponPools(pools) {
+    localStorage.setItem(MEMBER_WEAPON_POOLS_KEY, JSON.stringify(pools));
+}
+
+/**
+ * Get a member's weapon pool ({ mode, weapons }), mode 'global' if none is set
+ */
+function getMemberWeaponPool(memberId) {
+    const pool = loadMemberWeaponPools()[memberId];
+    if (pool && MEMBER_POOL_MODES.includes(pool.mode) && Array.isArray(pool.weapons)) {
+        return pool;
+    }
+    return { mode: 'global', weapons: [] };
+}
+
+/**
+ * Get the weapons from a member's pool, without falling back
+ */
+function getMemberPoolItems(memberId) {
+    const pool = getMemberWeaponPool(memberId);
+    if (pool.mode === 'override') {
+        return data.weapons.filter(item => pool.weapons.includes(item.key));
+    }
+    const items = getAvailableItems('weapon');
+    if (pool.mode === 'narrow') {
+        return items.filter(item => pool.weapons.includes(item.key));
+    }
+    return items;
+}
+
+/**
+ * Check if a member's pool has no weapons, so the global selection is used instead
+ */
+function isMemberPoolFallback(memberId) {
+    return getMemberWeaponPool(memberId).mode !== 'global' && getMemberPoolItems(memberId).length === 0;
+}
+
+/**
+ * Get the weapons a member can get from the roulette
+ * Falls back to the global selection if the member's pool leaves nothing.
+ */
+function getMemberWeaponItems(memberId) {
+    const items = getMemberPoolItems(memberId);
+    return items.length > 0 ? items : getAvailableItems('weapon');
+}
+
+/**
+ * Update the pool summary shown on each member's pool button
+ */
+function updateMemberPoolButtons() {
+    document.querySelectorAll('.btn-member-pool').forEach(button => {
+        const memberId = button.dataset.memberId;
+        const pool = getMemberWeaponPool(memberId);
+        button.textContent = t(`memberPool.summary.${pool.mode}`, { count: pool.weapons.length });
+        button.classList.toggle('active', pool.mode !== 'global');
+    });
+}
+
+/**
+ * Open the weapon pool editor for a member
+ */
+function openMemberPoolEditor(memberId) {
+    editingPoolMemberId = memberId;
+    renderMemberPoolEditor();
+}
+
+/**
+ * Close the weapon pool editor
+ */
+function closeMemberPoolEditor() {
+    editingPoolMemberId = null;
+    const editor = document.getElementById('memberPoolEditor');
+    if (editor) editor.style.display = 'none';
+}
+
+/**
+ * Render the weapon pool editor for the member being edited
+ */
+function renderMemberPoolEditor() {
+    const editor = document.getElementById('memberPoolEditor');
+    if (!editor || editingPoolMemberId === null) return;
+
+    const memberId = editingPoolMemberId;
+    const pool = getMemberWeaponPool(memberId);
+    editor.style.display = '';
+    editor.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'member-pool-header';
+    const title = document.createElement('strong');
+    title.textContent = t('memberPool.title', { name: getMemberName(memberId) });
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'btn btn-small';
+    closeButton.textContent = t('memberPool.close');
+    closeButton.addEventListener('click', closeMemberPoolEditor);
+    header.appendChild(title);
+    header.appendChild(closeButton);
+    editor.appendChild(header);
+
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'member-pool-mode';
+    MEMBER_POOL_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = t(`memberPool.mode.${mode}`);
+        modeSelect.appendChild(option);
+    });
+    modeSelect.value = pool.mode;
+    modeSelect.addEventListener('change', () => {
+        updateMemberWeaponPool(memberId, { mode: modeSelect.value });
+    });
+    editor.appendChild(modeSelect);
+
+    if (pool.mode === 'global') return;
+
+    const actions = document.createElement('div');
+    actions.className = 'member-pool-actions';
+    [['memberPool.selectAll', true], ['memberPool.deselectAll', false]].forEach(([key, selected]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-small';
+        button.textContent = t(key);
+        button.addEventListener('click', () => {
+            updateMemberWeaponPool(memberId, { weapons: selected ? data.weapons.map(item => item.key) : [] });
+        });
+        actions.appendChild(button);
+    });
+    editor.appendChild(actions);
+
+    // Narrowing only offers weapons from the global selection
+    const weapons = pool.mode === 'narrow' ? getAvailableItems('weapon') : data.weapons;
+    groupWeapons(weapons, 'type').forEach(group => {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'member-pool-group';
+        const groupTitle = document.createElement('div');
+        groupTitle.className = 'member-pool-group-title';
+        groupTitle.textContent = group.name;
+        groupDiv.appendChild(groupTitle);
+
+        group.items.forEach(item => {
+            const itemLabel = document.createElement('label');
+            itemLabel.className = 'member-pool-item';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = pool.weapons.includes(item.key);
+            checkbox.addEventListener('change', () => {
+                const keys = getMemberWeaponPool(memberId).weapons.filter(key => key !== item.key);
+                if (checkbox.checked) keys.push(item.key);
+                updateMemberWeaponPool(memberId, { weapons: keys }, false);
+            });
+            itemLabel.appendChild(checkbox);
+            itemLabel.appendChild(document.createTextNode(getItemName('weapon', item)));
+            groupDiv.appendChild(itemLabel);
+        });
+        editor.appendChild(groupDiv);
+    });
+}
+
+/**
+ * Update and save a member's weapon pool
+ */
+function updateMemberWeaponPool(memberId, changes, rerender = true) {
+    const pools = loadMemberWeaponPools();
+    // The weapon list is kept in 'global' mode so switching back restores it
+    pools[memberId] = Object.assign({}, getMemberWeaponPool(memberId), changes);
+    saveMemberWeaponPools(pools);
+
+    updateMemberPoolButtons();
+    updateBagProgress();
+    renderOddsView();
+    if (rerender) renderMemberPoolEditor();
+}
+
+// ========== Bag Mode ==========
+
+/**
+ * Check if bag mode is enabled
+ */
+function isBagModeEnabled() {
+    return localStorage.getItem(BAG_MODE_KEY) === 'true';
+}
+
+/**
+ * Load drawn weapon keys for each member from localStorage
+ */
+function loadWeaponBags() {
+    try {
+        const saved = localStorage.getItem(WEAPON_BAGS_KEY);
+        if (saved) {
+            const bags = JSON.parse(saved);
+            if (bags && typeof bags === 'object') return bags;
+        }
+    } catch (error) {
+        console.error('Error loading weapon bags:', error);
+    }
+    return {};
+}
+
+/**
+ * Save drawn weapon keys for each member to localStorage
+ */
+function saveWeaponBags(bags) {
+    try {
+        localStorage.setItem(WEAPON_BAGS_KEY, JSON.stringify(bags));
+    } catch (error) {
+        console.error('Error saving weapon bags:', error);
+    }
+}
+
+/**
+ * Get the weapon keys a member has drawn that are still selected
+ */
+function getDrawnWeaponKeys(memberId, bags = loadWeaponBags()) {
+    const drawn = bags[memberId];
+    if (!Array.isArray(drawn)) return [];
+    const selectedKeys = getMemberWeaponItems(memberId).map(item => item.key);
+    return drawn.filter(key => selectedKeys.includes(key));
+}
+
+/**
+ * Get the drawn weapon keys of each playing member as sets
+ */
+function loadDrawnWeaponKeys() {
+    const bags = loadWeaponBags();
+    const drawnKeys = {};
+    getActiveMembers().forEach(member => {
+        drawnKeys[member.id] = new Set(getDrawnWeaponKeys(member.id, bags));
+    });
+    return drawnKeys;
+}
+
+/**
+ * Narrow items down to the weapons left in a member's bag
+ * (using the drawn keys of the roll context, see createRollContext)
+ * If none of the items are left (the bag is empty, or they were all drawn
+ * already), the items are returned as is.
+ */
+function getBagCandidates(items, memberId, context) {
+    const drawnKeys = context.drawnWeaponKeys ? context.drawnWeaponKeys[memberId] : null;
+    if (!drawnKeys) return items;
+    const remaining = items.filter(item => !drawnKeys.has(item.key));
+    return remaining.length > 0 ? remaining : items;
+}
+
+/**
+ * Take a weapon out of a member's bag, refilling the bag from the
+ * current selection once every selected weapon has been drawn
+ */
+function drawFromWeaponBag(memberId, key) {
+    if (!isBagModeEnabled()) return;
+
+    const bags = loadWeaponBags();
+    const selectedCount = getMemberWeaponItems(memberId).length;
+    let drawn = getDrawnWeaponKeys(memberId, bags);
+    if (drawn.length >= selectedCount) {
+        drawn = [];
+    }
+    if (!drawn.includes(key)) {
+        drawn.push(key);
+    }
+    bags[memberId] = drawn;
+    saveWeaponBags(bags);
+}
+
+/**
+ * Reset a member's bag
+ */
+function resetWeaponBag(memberId) {
+    const bags = loadWeaponBags();
+    delete bags[memberId];
+    saveWeaponBags(bags);
+    updateBagProgress();
+    renderOddsView();
+}
+
+/**
+ * Show each member's bag progress (drawn / selected) on the result cards
+ */
+function updateBagProgress() {
+    const enabled = isBagModeEnabled();
+
+    document.querySelectorAll('.result-card').forEach(card => {
+        const bagElement = card.querySelector('.result-bag');
+        if (!bagElement) return;
+
+        bagElement.style.display = enabled ? '' : 'none';
+        if (!enabled) return;
+
+        const memberId = card.dataset.memberId;
+        const progress = bagElement.querySelector('.result-bag-progress');
+        progress.textContent = t('bag.progress', {
+            drawn: getDrawnWeaponKeys(memberId).length,
+            total: getMemberWeaponItems(memberId).length
+        });
+        bagElement.querySelector('.btn-bag-reset').textContent = t('bag.reset');
+    });
+}
+
+/**
+ * Initialize bag mode toggle
+ */
+function initializeBagMode() {
+    const toggle = document.getElementById('bagModeToggle');
+    if (!toggle) return;
+
+    toggle.checked = isBagModeEnabled();
+    toggle.addEventListener('change', () => {
+        localStorage.setItem(BAG_MODE_KEY, toggle.checked);
+        updateBagProgress();
+        renderOddsView();
+    });
+}
+
+// ========== Seeded Random ==========
+
+/**
+ * Get a random number in [0, 1) from the current random source
+ */
+function random() {
+    return currentRandom();
+}
+
+/**
+ * Create a deterministic random function from a seed string
+ * (xmur3 hash for the initial state, mulberry32 generator)
+ */
+function createSeededRandom(seedText) {
+    let hash = 1779033703 ^ seedText.length;
+    for (let i = 0; i < seedText.length; i++) {
+        hash = Math.imul(hash ^ seedText.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    let state = (hash ^ (hash >>> 16)) >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let value = Math.imul(state ^ (state >>> 15), 1 | state);
+        value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Run fn with a random source derived from the seed and scope
+ * Each scope (teams, rule, stage, weapon) gets its own stream, so rolling
+ * one category alone with a seed gives the same result as in a full roll.
+ */
+function withSeededRandom(seed, scope, fn) {
+    const previousRandom = currentRandom;
+    currentRandom = createSeededRandom(`${seed}:${scope}`);
+    try {
+        return fn();
+    } finally {
+        currentRandom = previousRandom;
+    }
+}
+
+/**
+ * Run a single-category roll with a seed and show the seed
+ * fn is given the roll context and may return false if nothing could be rolled.
+ */
+function runSeededRoll(scope, fn) {
+    const { seed, replay } = takeRollSeed();
+    const context = createRollContext(replay);
+    clearRouletteWarning();
+    const rolled = withSeededRandom(seed, scope, () => fn(context));
+    renderOddsView();
+    if (rolled === false) return;
+    showRollSeed(seed, scope);
+    syncCurrentHistoryEntry();
+}
+
+/**
+ * Generate a new random seed (8 base36 characters)
+ */
+function generateSeed() {
+    const values = new Uint32Array(2);
+    if (window.crypto && window.crypto.getRandomValues) {
+        window.crypto.getRandomValues(values);
+    } else {
+        values[0] = Math.random() * 4294967296;
+        values[1] = Math.random() * 4294967296;
+    }
+    return (values[0].toString(36) + values[1].toString(36)).slice(0, 8).padStart(8, '0');
+}
+
+/**
+ * Get the seed for the next roll: the entered seed (used once), or a new one
+ * Returns { seed, replay }, where replay is true for an entered seed.
+ */
+function takeRollSeed() {
+    const input = document.getElementById('seedInput');
+    const entered = input ? input.value.trim() : '';
+    if (input) input.value = '';
+    return { seed: entered || generateSeed(), replay: entered !== '' };
+}
+
+/**
+ * Show the seed of the last roll next to the results
+ * notes lists the message keys of settings that replays leave out.
+ */
+function showRollSeed(seed, scope, notes = getSeedReplayNotes(scope)) {
+    const seedElement = document.getElementById('rollSeed');
+    if (!seedElement) return;
+
+    let text = t('seed.display', { seed: seed, scope: t(`seed.scope.${scope}`) });
+    if (notes.length > 0) {
+        text += ` ${t('seed.replayNote', { features: notes.map(key => t(key)).join(', ') })}`;
+    }
+    seedElement.textContent = text;
+    seedElement.dataset.seed = seed;
+    seedElement.dataset.scope = scope;
+    seedElement.dataset.notes = notes.join(',');
+    seedElement.style.display = '';
+}
+
+/**
+ * Get the settings used by a roll that replays of its seed leave out,
+ * as they depend on the earlier rolls (message keys)
+ */
+function getSeedReplayNotes(scope) {
+    const notes = [];
+    if (scope !== 'teams' && getAntiRepeatMode() !== 'off') {
+        notes.push('seed.feature.antiRepeat');
+    }
+    if ((scope === 'all' || scope === 'weapon') && isBagModeEnabled()) {
+        notes.push('seed.feature.bag');
+    }
+    if (scope === 'all' && getSitOutCount() > 0) {
+        notes.push('seed.feature.sitOut');
+    }
+    return notes;
+}
+
+/**
+ * Hide the seed display
+ */
+function clearRollSeed() {
+    const seedElement = document.getElementById('rollSeed');
+    if (!seedElement) return;
+
+    seedElement.textContent = '';
+    delete seedElement.dataset.seed;
+    delete seedElement.dataset.scope;
+    delete seedElement.dataset.notes;
+    seedElement.style.display = 'none';
+}
+
+/**
+ * Copy the seed of the last roll into the seed input for replaying
+ */
+function reuseRollSeed() {
+    const seedElement = document.getElementById('rollSeed');
+    const input = document.getElementById('seedInput');
+    if (seedElement && input && seedElement.dataset.seed) {
+        input.value = seedElement.dataset.seed;
+    }
+}
+
+// ========== Team Division ==========
+
+/**
+ * Divide members into teams randomly
+ * Returns false (with the teams cleared) if the pairing constraints
+ * cannot be satisfied.
+ */
+function divideTeams() {
+    const members = getActiveMembers();
+    const memberIds = members.map(member => member.id);
+
+    // Calculate team sizes
+    const sizes = getTeamSizes(members.length, getTeamCount());
+
+    let teams;
+    const constraints = getActivePairConstraints(memberIds);
+    if (isRatingBalanceEnabled() || constraints.length > 0) {
+        // Only splits that satisfy the pairing constraints are allowed
+        const splits = getCandidateSplits(memberIds, sizes, constraints);
+        if (splits.length === 0) {
+            // Teams from a previous division no longer apply
+            currentTeams = {};
+            updateResultCardsTeamColor();
+            alert(t('constraints.unsatisfiable'));
+            return false;
+        }
+
+        // Pick among the splits whose rating totals are close enough, or any split
+        const assignment = permuteEqualTeams(isRatingBalanceEnabled()
+            ? pickBalancedSplit(splits, getMemberRatings(members), sizes.length)
+            : selectRandomItem(splits), sizes);
+        teams = sizes.map((size, teamIndex) => memberIds.filter((memberId, index) => assignment[index] === teamIndex));
+    } else {
+        // Shuffle members and divide into teams
+        const shuffledMemberIds = shuffleArray(memberIds);
+        let start = 0;
+        teams = sizes.map(size => {
+            const team = shuffledMemberIds.slice(start, start + size);
+            start += size;
+            return team;
+        });
+    }
+
+    // Display results
+    displayTeamResults(teams);
+    // Update result cards with team information
+    updateResultCardsTeamColor();
+    return true;
+}
+
+/**
+ * Get the number of teams to divide into
+ * Tricolor Turf War always uses three teams.
+ */
+function getTeamCount() {
+    return isTricolorRound() ? TRICOLOR_TEAM_COUNT : getSavedTeamCount();
+}
+
+/**
+ * Get the team count chosen in the team division settings
+ */
+function getSavedTeamCount() {
+    const saved = parseInt(localStorage.getItem(TEAM_COUNT_KEY));
+    return isNaN(saved) || saved < 2 || saved > MAX_TEAM_COUNT ? DEFAULT_TEAM_COUNT : saved;
+}
+
+/**
+ * Get the size of each team
+ * Members are spread as evenly as possible. In Tricolor Turf War the
+ * defending team has half of the members and the two attacking teams
+ * share the rest (4/2/2 with 8 players).
+ */
+function getTeamSizes(memberCount, teamCount) {
+    if (isTricolorRound() && teamCount === TRICOLOR_TEAM_COUNT) {
+        const defenders = Math.ceil(memberCount / 2);
+        const attackers = memberCount - defenders;
+        return [defenders, Math.ceil(attackers / 2), Math.floor(attackers / 2)];
+    }
+    return Array.from({ length: teamCount }, (value, index) =>
+        Math.floor(memberCount / teamCount) + (index < memberCount % teamCount ? 1 : 0));
+}
+
+/**
+ * Get the ID of the team at the given index ('alpha', 'bravo', ..., then 'team5', 'team6', ...)
+ */
+function getTeamId(teamIndex) {
+    return TEAM_IDS[teamIndex] || `team${teamIndex + 1}`;
+}
+
+/**
+ * Get the index of a team from its ID
+ */
+function getTeamIndex(teamId) {
+    const index = TEAM_IDS.indexOf(teamId);
+    return index !== -1 ? index : parseInt(teamId.replace('team', '')) - 1;
+}
+
+/**
+ * Get the display name of a team
+ */
+function getTeamLabel(teamId) {
+    return TEAM_IDS.includes(teamId)
+        ? t(`team.${teamId}`)
+        : t('team.numbered', { n: getTeamIndex(teamId) + 1 });
+}
+
+/**
+ * Get the color of a team
+ * Numbered teams get hues spread around the color wheel.
+ */
+function getTeamColor(teamId) {
+    return TEAM_COLORS[teamId] || `hsl(${Math.round(getTeamIndex(teamId) * 137.5) % 360}, 60%, 45%)`;
+}
+
+/**
+ * Get the IDs of the teams in the current division, in team order
+ */
+function getCurrentTeamIds() {
+    return [...new Set(Object.values(currentTeams))]
+        .sort((a, b) => getTeamIndex(a) - getTeamIndex(b));
+}
+
+/**
+ * Set a card's team color, or clear it when teamId is empty
+ */
+function applyTeamStyle(element, teamId) {
+    element.classList.toggle('has-team', Boolean(teamId));
+    if (teamId) {
+        element.style.setProperty('--team-color', getTeamColor(teamId));
+    } else {
+        element.style.removeProperty('--team-color');
+    }
+}
+
+/**
+ * Shuffle array using Fisher-Yates algorithm
+ */
+function shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Update result cards with team color and information
+ */
+function updateResultCardsTeamColor() {
+    document.querySelectorAll('.result-card').forEach(card => {
+
+        // Remove old team label if exists
+        const oldTeamLabel = card.querySelector('.result-team-label');
+        if (oldTeamLabel) {
+            oldTeamLabel.remove();
+        }
+
+        // Set team color and label if team assigned
+        const teamInfo = currentTeams[card.dataset.memberId];
+        applyTeamStyle(card, teamInfo);
+        if (teamInfo) {
+            const teamLabel = document.createElement('div');
+            teamLabel.className = 'result-team-label';
+            teamLabel.textContent = getTeamLabel(teamInfo);
+
+            // Insert after h3
+            const h3 = card.querySelector('h3');
+            h3.insertAdjacentElement('afterend', teamLabel);
+        }
+    });
+
+    updateTeamRatingSummary();
+}
+
+/**
+ * Display team division results
+ * teams is a list of member ID lists, one per team.
+ */
+function displayTeamResults(teams) {
+    // Store team information in currentTeams object, keyed by member ID
+    currentTeams = {};
+    teams.forEach((team, teamIndex) => {
+        team.forEach(memberId => {
+            currentTeams[memberId] = getTeamId(teamIndex);
+        });
+    });
+}
+
+// ========== Rating Balance ==========
+
+/**
+ * Check if rating-balanced team division is enabled
+ */
+function isRatingBalanceEnabled() {
+    return localStorage.getItem(RATING_BALANCE_KEY) === 'true';
+}
+
+/**
+ * Get the allowed difference between team rating totals
+ */
+function getRatingTolerance() {
+    const saved = parseFloat(localStorage.getItem(RATING_TOLERANCE_KEY));
+    return isNaN(saved) || saved < 0 ? 0 : saved;
+}
+
+/**
+ * Get the rating of each member (same order as members)
+ * Members without a rating count as the average of the rated members.
+ */
+function getMemberRatings(members) {
+    const ratings = members.map(member => typeof member.rating === 'number' ? member.rating : null);
+
+    const rated = ratings.filter(rating => rating !== null);
+    const average = rated.length > 0 ? rated.reduce((sum, rating) => sum + rating, 0) / rated.length : 0;
+    return ratings.map(rating => rating === null ? average : rating);
+}
+
+/**
+ * Check if any member has a rating
+ */
+function hasMemberRatings(members) {
+    return members.some(member => typeof member.rating === 'number');
+}
+
+/**
+ * Pick a split from the given splits
+ * Chooses randomly among the splits whose highest and lowest team rating
+ * totals differ by at most the tolerance, or among the closest splits if
+ * none are within it. When the teams differ in size (tricolor 4/2/2, or an
+ * odd number of players), their averages are compared instead.
+ */
+function pickBalancedSplit(splits, ratings, teamCount) {
+    const scored = splits.map(assignment => {
+        const totals = new Array(teamCount).fill(0);
+        const sizes = new Array(teamCount).fill(0);
+        assignment.forEach((teamIndex, index) => {
+            totals[teamIndex] += ratings[index];
+            sizes[teamIndex]++;
+        });
+        const useAverage = sizes.some(size => size !== sizes[0]);
+        const values = useAverage
+            ? totals.map((total, teamIndex) => sizes[teamIndex] > 0 ? total / sizes[teamIndex] : 0)
+            : totals;
+        return { assignment, difference: Math.max(...values) - Math.min(...values) };
+    });
+
+    const tolerance = getRatingTolerance();
+    let candidates = scored.filter(split => split.difference <= tolerance);
+    if (candidates.length === 0) {
+        const minDifference = Math.min(...scored.map(split => split.difference));
+        candidates = scored.filter(split => split.difference === minDifference);
+    }
+    return selectRandomItem(candidates).assignment;
+}
+
+/**
+ * Get the splits to choose from for the given team sizes
+ * A split is the team index of each member in memberIds. Only splits that
+ * satisfy the pairing constraints are built. Every split is listed when
+ * there are few enough, otherwise random splits are sampled. Teams of the
+ * same size are interchangeable, so each split is listed once for them
+ * (see permuteEqualTeams). Returns an empty list only if no split exists.
+ */
+function getCandidateSplits(memberIds, sizes, constraints) {
+    const groups = buildConstraintGroups(memberIds, constraints);
+    if (!groups) return [];
+
+    const splits = [];
+    const tooMany = searchSplits(groups, sizes, false, split => {
+        splits.push(split);
+        return splits.length > SPLIT_ENUMERATION_LIMIT;
+    });
+    if (!tooMany) return splits;
+
+    // Each sample is the first split found with groups and teams tried in random order
+    return Array.from({ length: SPLIT_SAMPLE_COUNT }, () => {
+        let sample = null;
+        searchSplits(groups, sizes, true, split => {
+            sample = split;
+            return true;
+        });
+        return sample;
+    });
+}
+
+/**
+ * Assign constraint groups to teams with backtracking
+ * A group only goes to a team with room for all its members and none of
+ * the groups it must be kept apart from. onSplit is called with each
+ * complete split and returns true to stop the search.
+ * Returns true if stopped by onSplit, false once every split was tried.
+ */
+function searchSplits(groups, sizes, randomOrder, onSplit) {
+    // Large and heavily constrained groups first, so dead ends show up early
+    const order = (randomOrder ? shuffleArray(groups) : [...groups])
+        .sort((a, b) => b.members.length - a.members.length || b.apart.size - a.apart.size);
+    const teamIndexes = sizes.map((size, index) => index);
+    const remaining = [...sizes];
+    const teamOfGroup = new Map();
+    const assignment = [];
+
+    const place = (position) => {
+        if (position === order.length) return onSplit([...assignment]);
+
+        const group = order[position];
+        const triedEmptySizes = new Set();
+        const teams = randomOrder ? shuffleArray(teamIndexes) : teamIndexes;
+        for (const team of teams) {
+            if (remaining[team] < group.members.length) continue;
+            // Empty teams of the same size give the same splits
+            if (remaining[team] === sizes[team]) {
+                if (triedEmptySizes.has(sizes[team])) continue;
+                triedEmptySizes.add(sizes[team]);
+            }
+            if ([...group.apart].some(other => teamOfGroup.get(other) === team)) continue;
+
+            remaining[team] -= group.members.length;
+            teamOfGroup.set(group, team);
+            group.members.forEach(index => {
+                assignment[index] = team;
+            });
+            if (place(position + 1)) return true;
+            remaining[team] += group.members.length;
+            teamOfGroup.delete(group);
+        }
+        return false;
+    };
+    return place(0);
+}
+
+/**
+ * Randomly swap teams of the same size in a split
+ * Splits are built with the first of same-sized teams filled first.
+ */
+function permuteEqualTeams(assignment, sizes) {
+    const mapping = sizes.map((size, index) => index);
+    [...new Set(sizes)].forEach(size => {
+        const teams = mapping.filter(index => sizes[index] === size);
+        shuffleArray(teams).forEach((team, i) => {
+            mapping[teams[i]] = team;
+        });
+    });
+    return assignment.map(team => mapping[team]);
+}
+
+/**
+ * Show each team's rating total and average
+ */
+function updateTeamRatingSummary() {
+    const summary = document.getElementById('teamRatingSummary');
+    if (!summary) return;
+
+    const members = getActiveMembers();
+    if (Object.keys(currentTeams).length === 0 || !hasMemberRatings(members)) {
+        summary.style.display = 'none';
+        return;
+    }
+
+    const ratings = getMemberRatings(members);
+    summary.innerHTML = '';
+    getCurrentTeamIds().forEach(team => {
+        const teamRatings = ratings.filter((rating, index) => currentTeams[members[index].id] === team);
+        const total = teamRatings.reduce((sum, rating) => sum + rating, 0);
+        const line = document.createElement('div');
+        line.className = 'team-rating';
+        line.style.setProperty('--team-color', getTeamColor(team));
+        line.textContent = t('rating.summary', {
+            team: getTeamLabel(team),
+            total: formatRating(total),
+            average: formatRating(teamRatings.length > 0 ? total / teamRatings.length : 0)
+        });
+        summary.appendChild(line);
+    });
+    summary.style.display = '';
+}
+
+/**
+ * Format a rating for display (at most one decimal place)
+ */
+function formatRating(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Initialize rating balance toggle and tolerance input
+ */
+function initializeRatingBalanceSettings() {
+    const toggle = document.getElementById('ratingBalanceToggle');
+    const toleranceInput = document.getElementById('ratingTolerance');
+    if (!toggle || !toleranceInput) return;
+
+    toggle.checked = isRatingBalanceEnabled();
+    toleranceInput.value = getRatingTolerance();
+
+    toggle.addEventListener('change', () => {
+        localStorage.setItem(RATING_BALANCE_KEY, toggle.checked);
+    });
+    toleranceInput.addEventListener('change', () => {
+        localStorage.setItem(RATING_TOLERANCE_KEY, toleranceInput.value);
+        toleranceInput.value = getRatingTolerance();
+    });
+}
+
+// ========== Pairing Constraints ==========
+
+/**
+ * Load pairing constraints from localStorage
+ */
+function loadPairConstraints() {
+    try {
+        const saved = localStorage.getItem(PAIR_CONSTRAINTS_KEY);
+        if (saved) {
+            const constraints = JSON.parse(saved);
+            if (Array.isArray(constraints)) {
+                return constraints.filter(constraint =>
+                    PAIR_CONSTRAINT_TYPES.includes(constraint.type) &&
+                    Array.isArray(constraint.members) && constraint.members.length === 2
+                );
+            }
+        }
+    } catch (error) {
+        console.error('Error loading pair constraints:', error);
+    }
+    return [];
+}
+
+/**
+ * Save pairing constraints to localStorage
+ */
+function savePairConstraints(constraints) {
+    localStorage.setItem(PAIR_CONSTRAINTS_KEY, JSON.stringify(constraints));
+}
+
+/**
+ * Get the constraints between two different members who are both playing
+ */
+function getActivePairConstraints(memberIds, constraints = loadPairConstraints()) {
+    return constraints.filter(constraint => {
+        const [a, b] = constraint.members;
+        return a !== b && memberIds.includes(a) && memberIds.includes(b);
+    });
+}
+
+/**
+ * Merge members who must be together into groups (indexes into memberIds)
+ * Each group lists the groups it must be kept apart from. Returns null if
+ * two members must be both together and apart.
+ */
+function buildConstraintGroups(memberIds, constraints) {
+    const parent = memberIds.map((memberId, index) => index);
+    const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+    constraints.filter(constraint => constraint.type === 'together').forEach(constraint => {
+        const [a, b] = constraint.members.map(memberId => find(memberIds.indexOf(memberId)));
+        parent[a] = b;
+    });
+
+    const groups = new Map();
+    memberIds.forEach((memberId, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, { members: [], apart: new Set() });
+        groups.get(root).members.push(index);
+    });
+
+    for (const constraint of constraints.filter(item => item.type === 'apart')) {
+        const [a, b] = constraint.members.map(memberId => groups.get(find(memberIds.indexOf(memberId))));
+        if (a === b) return null;
+        a.apart.add(b);
+        b.apart.add(a);
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Check if any split satisfies the constraints for the members who are playing
+ */
+function arePairConstraintsSatisfiable(allConstraints = loadPairConstraints()) {
+    const memberIds = getActiveMembers().map(member => member.id);
+    const constraints = getActivePairConstraints(memberIds, allConstraints);
+    if (constraints.length === 0) return true;
+
+    const groups = buildConstraintGroups(memberIds, constraints);
+    const sizes = getTeamSizes(memberIds.length, getTeamCount());
+    return Boolean(groups) && searchSplits(groups, sizes, false, () => true);
+}
+
+/**
+ * Render the pairing constraint editor
+ * Edits go to the draft, which is saved when the member section is applied.
+ */
+function renderPairConstraints() {
+    const container = document.getElementById('pairConstraints');
+    if (!container) return;
+    container.innerHTML = '';
+
+    // Constraints can be set between any roster members; they only apply
+    // when both members are playing
+    const constraints = pairConstraintsDraft;
+    const activeIds = getActiveMembers().map(member => member.id);
+
+    const createMemberSelect = (memberId) => {
+        const select = document.createElement('select');
+        rosterDraft.forEach(member => {
+            const option = document.createElement('option');
+            option.value = member.id;
+            option.textContent = getMemberName(member.id);
+            select.appendChild(option);
+        });
+        select.value = memberId;
+        return select;
+    };
+
+    constraints.forEach((constraint, index) => {
+        const row = document.createElement('div');
+        row.className = 'pair-constraint';
+
+        const firstSelect = createMemberSelect(constraint.members[0]);
+        const secondSelect = createMemberSelect(constraint.members[1]);
+
+        const typeSelect = document.createElement('select');
+        PAIR_CONSTRAINT_TYPES.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = t(`constraints.type.${type}`);
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = constraint.type;
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn btn-small';
+        removeButton.textContent = '×';
+        removeButton.title = t('constraints.remove');
+
+        const update = () => {
+            pairConstraintsDraft[index] = {
+                type: typeSelect.value,
+                members: [firstSelect.value, secondSelect.value]
+            };
+            renderPairConstraints();
+            checkMemberChanges();
+        };
+        firstSelect.addEventListener('change', update);
+        secondSelect.addEventListener('change', update);
+        typeSelect.addEventListener('change', update);
+        removeButton.addEventListener('click', () => {
+            pairConstraintsDraft.splice(index, 1);
+            renderPairConstraints();
+            checkMemberChanges();
+        });
+
+        row.appendChild(firstSelect);
+        row.appendChild(document.createTextNode(t('constraints.and')));
+        row.appendChild(secondSelect);
+        row.appendChild(typeSelect);
+        row.appendChild(removeButton);
+
+        let noteKey = null;
+        if (constraint.members[0] === constraint.members[1]) {
+            noteKey = 'constraints.sameMember';
+        } else if (!constraint.members.every(memberId => activeIds.includes(memberId))) {
+            noteKey = 'constraints.notPlaying';
+        }
+        if (noteKey) {
+            const note = document.createElement('span');
+            note.className = 'pair-constraint-note';
+            note.textContent = t(noteKey);
+            row.appendChild(note);
+        }
+        container.appendChild(row);
+    });
+
+    if (!arePairConstraintsSatisfiable(pairConstraintsDraft)) {
+        const warning = document.createElement('div');
+        warning.className = 'pair-constraint-warning';
+        warning.textContent = t('constraints.unsatisfiable');
+        container.appendChild(warning);
+    }
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn btn-small';
+    addButton.textContent = t('constraints.add');
+    addButton.disabled = rosterDraft.length < 2;
+    addButton.addEventListener('click', () => {
+        pairConstraintsDraft.push({ type: 'together', members: [rosterDraft[0].id, rosterDraft[1].id] });
+        renderPairConstraints();
+        checkMemberChanges();
+    });
+    container.appendChild(addButton);
+}
+
+// ========== Tricolor Turf War ==========
+
+/**
+ * Check if the current rule is Tricolor Turf War
+ */
+function isTricolorRound() {
+    const rule = currentResults['common-rule'];
+    return Boolean(rule) && rule.key === TRICOLOR_RULE;
+}
+
+/**
+ * Get the keys of the stages Tricolor Turf War can be played on
+ */
+function getTricolorStages() {
+    try {
+        const saved = localStorage.getItem(TRICOLOR_STAGES_KEY);
+        if (saved) {
+            const stages = JSON.parse(saved);
+            if (Array.isArray(stages)) return stages;
+        }
+    } catch (error) {
+        console.error('Error loading tricolor stages:', error);
+    }
+    return [...DEFAULT_TRICOLOR_STAGES];
+}
+
+/**
+ * Get the stages that can be rolled for the current rule (or for
+ * Tricolor Turf War or other rules when tricolor is given)
+ * Tricolor Turf War uses the selected tricolor stages, or every tricolor
+ * stage in the data if the filters leave none. Other rules never get the
+ * tricolor-only stages.
+ */
+function getStagePool(tricolor = isTricolorRound()) {
+    const available = getAvailableItems('stage');
+    if (!tricolor) {
+        return available.filter(stage => !TRICOLOR_ONLY_STAGES.includes(stage.key));
+    }
+
+    const tricolorStages = getTricolorStages();
+    const selected = available.filter(stage => tricolorStages.includes(stage.key));
+    if (selected.length > 0) return selected;
+
+    const fromData = data.stages.filter(stage => tricolorStages.includes(stage.key));
+    return fromData.length > 0 ? fromData : available;
+}
+
+/**
+ * Follow a change of the rule to or from Tricolor Turf War
+ * Teams are divided again for the new team count (or cleared when leaving
+ * Tricolor Turf War with team division off), and an unlocked stage
+ * that can't be played with the new rule is rolled again (with the
+ * roll context of the rule).
+ */
+function applyTricolorChange(context) {
+    applyTeamDivisionState(document.getElementById('teamDivisionToggle').checked);
+
+    const stage = currentResults['common-stage'];
+    if (stage && !getStagePool().some(item => item.key === stage.key)) {
+        runRoulette('stage', context);
+    }
+}
+
+/**
+ * Roll the rule, following a change to or from Tricolor Turf War
+ */
+function rollRule(context) {
+    const wasTricolor = isTricolorRound();
+    runRoulette('rule', context);
+    if (isTricolorRound() !== wasTricolor) {
+        applyTricolorChange(context);
+    }
+}
+
+/**
+ * Show or hide the tricolor stage editor
+ */
+function toggleTricolorStages() {
+    const container = document.getElementById('tricolorStages');
+    if (!container) return;
+    container.style.display = container.style.display === 'none' ? '' : 'none';
+    renderTricolorStages();
+}
+
+/**
+ * Render the tricolor stage checkboxes
+ * Changes are saved immediately.
+ */
+function renderTricolorStages() {
+    const container = document.getElementById('tricolorStages');
+    if (!container || container.style.display === 'none') return;
+    container.innerHTML = '';
+
+    const tricolorStages = getTricolorStages();
+    data.stages.forEach(stage => {
+        const label = document.createElement('label');
+        label.className = 'tricolor-stage';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = tricolorStages.includes(stage.key);
+        checkbox.addEventListener('change', () => {
+            const stages = getTricolorStages().filter(key => key !== stage.key);
+            if (checkbox.checked) stages.push(stage.key);
+            localStorage.setItem(TRICOLOR_STAGES_KEY, JSON.stringify(stages));
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(getItemName('stage', stage)));
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Initialize team count select
+ */
+function initializeTeamCountSelect() {
+    const select = document.getElementById('teamCount');
+    if (!select) return;
+
+    select.value = getSavedTeamCount();
+    select.addEventListener('change', () => {
+        localStorage.setItem(TEAM_COUNT_KEY, select.value);
+        renderPairConstraints();
+    });
+}
+
+// ========== Match History ==========
+
+/**
+ * Load the match history from localStorage (oldest first)
+ */
+function loadMatchHistory() {
+    try {
+        const saved = localStorage.getItem(MATCH_HISTORY_KEY);
+        if (saved) {
+            const history = JSON.parse(saved);
+            if (Array.isArray(history)) {
+                return history.filter(entry => entry && typeof entry.id === 'string' && Array.isArray(entry.members));
+            }
+        }
+    } catch (error) {
+        console.error('Error loading match history:', error);
+    }
+    return [];
+}
+
+/**
+ * Save the match history to localStorage
+ * Only the newest MAX_HISTORY_ENTRIES entries are kept. If the storage is
+ * full, the oldest half is dropped until it fits.
+ */
+function saveMatchHistory(history) {
+    let entries = history.slice(-MAX_HISTORY_ENTRIES);
+    while (true) {
+        try {
+            localStorage.setItem(MATCH_HISTORY_KEY, JSON.stringify(entries));
+            return;
+        } catch (error) {
+            if (entries.length <= 1) {
+                console.error('Error saving match history:', error);
+                return;
+            }
+            entries = entries.slice(Math.floor(entries.length / 2));
+        }
+    }
+}
+
+/**
+ * Generate a new history entry ID
+ */
+function generateHistoryEntryId() {
+    return 'h' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Build the history data of the current results
+ * Items are stored by key; names are resolved when shown.
+ */
+function createHistorySnapshot() {
+    const rule = currentResults['common-rule'];
+    const stage = currentResults['common-stage'];
+    return {
+        rule: rule ? rule.key : null,
+        stage: stage ? stage.key : null,
+        members: getActiveMembers().map(member => {
+            const weapon = currentResults[getWeaponResultKey(member.id)];
+            return {
+                id: member.id,
+                name: getMemberName(member.id),
+                team: currentTeams[member.id] || null,
+                weapon: weapon ? weapon.key : null
+            };
+        })
+    };
+}
+
+/**
+ * Record the current results as a new history entry
+ */
+function recordMatchHistory(seed) {
+    const entry = Object.assign({
+        id: generateHistoryEntryId(),
+        timestamp: Date.now(),
+        seed: seed,
+        winner: null
+    }, createHistorySnapshot());
+
+    const history = loadMatchHistory();
+    history.push(entry);
+    saveMatchHistory(history);
+
+    currentHistoryEntryId = entry.id;
+    refreshMatchHistoryViews();
+}
+
+/**
+ * Update the current history entry after part of the results was rolled again
+ * Entries with a recorded winner are left as they were played.
+ */
+function syncCurrentHistoryEntry() {
+    if (!currentHistoryEntryId) return;
+
+    const history = loadMatchHistory();
+    const entry = history.find(item => item.id === currentHistoryEntryId);
+    if (!entry || entry.winner) return;
+
+    // The seed no longer reproduces the whole result
+    Object.assign(entry, createHistorySnapshot(), { seed: null });
+    saveMatchHistory(history);
+    refreshMatchHistoryViews();
+}
+
+/**
+ * Update every view that shows the history
+ */
+function refreshMatchHistoryViews() {
+    renderMatchResultButtons();
+    renderMatchHistory();
+    renderStatistics();
+}
+
+/**
+ * Update a history entry
+ */
+function updateMatchHistoryEntry(entryId, changes) {
+    const history = loadMatchHistory();
+    const entry = history.find(item => item.id === entryId);
+    if (!entry) return;
+
+    Object.assign(entry, changes);
+    saveMatchHistory(history);
+    refreshMatchHistoryViews();
+}
+
+/**
+ * Record the winning team of the current match
+ */
+function recordMatchWinner(teamId) {
+    if (!currentHistoryEntryId) return;
+    updateMatchHistoryEntry(currentHistoryEntryId, { winner: teamId });
+}
+
+/**
+ * Delete a history entry
+ */
+function deleteMatchHistoryEntry(entryId) {
+    saveMatchHistory(loadMatchHistory().filter(entry => entry.id !== entryId));
+    if (entryId === currentHistoryEntryId) {
+        currentHistoryEntryId = null;
+    }
+    refreshMatchHistoryViews();
+}
+
+/**
+ * Delete every history entry
+ */
+function clearMatchHistory() {
+    if (!confirm(t('history.confirmClear'))) return;
+
+    localStorage.removeItem(MATCH_HISTORY_KEY);
+    currentHistoryEntryId = null;
+    refreshMatchHistoryViews();
+}
+
+/**
+ * Get the IDs of the teams in a history entry, in team order
+ */
+function getHistoryEntryTeams(entry) {
+    return [...new Set(entry.members.map(member => member.team).filter(Boolean))]
+        .sort((a, b) => getTeamIndex(a) - getTeamIndex(b));
+}
+
+/**
+ * Get the display name of an item stored by key
+ * Items no longer in the data are shown by their key.
+ */
+function getItemNameByKey(type, key) {
+    if (!key) return '-';
+    const item = data[DATA_KEYS[type]].find(dataItem => dataItem.key === key);
+    return item ? getItemName(type, item) : key;
+}
+
+/**
+ * Render the win buttons for the current match
+ */
+function renderMatchResultButtons() {
+    const container = document.getElementById('matchResult');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const entry = currentHistoryEntryId
+        ? loadMatchHistory().find(item => item.id === currentHistoryEntryId)
+        : null;
+    const teams = entry ? getHistoryEntryTeams(entry) : [];
+    if (teams.length < 2) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const label = document.createElement('span');
+    label.className = 'match-result-label';
+    label.textContent = t('history.recordWinner');
+    container.appendChild(label);
+
+    teams.forEach(teamId => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-match-winner';
+        button.classList.toggle('selected', entry.winner === teamId);
+        button.style.setProperty('--team-color', getTeamColor(teamId));
+        button.textContent = t('history.won', { team: getTeamLabel(teamId) });
+        button.addEventListener('click', () => {
+            recordMatchWinner(entry.winner === teamId ? null : teamId);
+        });
+        container.appendChild(button);
+    });
+    container.style.display = '';
+}
+
+/**
+ * Show more history entries
+ */
+function showMoreMatchHistory() {
+    historyDisplayCount += HISTORY_PAGE_SIZE;
+    renderMatchHistory();
+}
+
+/**
+ * Render the history view (newest first)
+ */
+function renderMatchHistory() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const history = loadMatchHistory().reverse();
+    const summary = document.getElementById('historySummary');
+    if (summary) {
+        summary.textContent = t('history.count', { count: history.length, max: MAX_HISTORY_ENTRIES });
+    }
+
+    if (history.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = t('history.empty');
+        list.appendChild(empty);
+    }
+
+    history.slice(0, historyDisplayCount).forEach(entry => {
+        list.appendChild(createHistoryEntryElement(entry));
+    });
+
+    const moreButton = document.getElementById('historyMoreBtn');
+    if (moreButton) {
+        moreButton.style.display = history.length > historyDisplayCount ? '' : 'none';
+    }
+}
+
+/**
+ * Create the element of a history entry
+ */
+function createHistoryEntryElement(entry) {
+    const element = document.createElement('div');
+    element.className = 'history-entry';
+    element.classList.toggle('current', entry.id === currentHistoryEntryId);
+
+    const header = document.createElement('div');
+    header.className = 'history-entry-header';
+
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = formatDateTime(entry.timestamp);
+    header.appendChild(time);
+
+    const match = document.createElement('span');
+    match.className = 'history-match';
+    match.textContent = `${getItemNameByKey('rule', entry.rule)} / ${getItemNameByKey('stage', entry.stage)}`;
+    header.appendChild(match);
+
+    // The winner can be changed or cleared afterwards
+    const teams = getHistoryEntryTeams(entry);
+    if (teams.length >= 2) {
+        const winnerSelect = document.createElement('select');
+        winnerSelect.className = 'history-winner';
+        const noResult = document.createElement('option');
+        noResult.value = '';
+        noResult.textContent = t('history.noResult');
+        winnerSelect.appendChild(noResult);
+        teams.forEach(teamId => {
+            const option = document.createElement('option');
+            option.value = teamId;
+            option.textContent = t('history.won', { team: getTeamLabel(teamId) });
+            winnerSelect.appendChild(option);
+        });
+        winnerSelect.value = entry.winner || '';
+        winnerSelect.addEventListener('change', () => {
+            updateMatchHistoryEntry(entry.id, { winner: winnerSelect.value || null });
+        });
+        header.appendChild(winnerSelect);
+    }
+
+    const editing = entry.id === editingHistoryEntryId;
+    const editButton = document.createElement('button');
+    editButton.className = 'btn-history-edit';
+    editButton.textContent = editing ? t('history.doneEditing') : '✏️';
+    editButton.title = t('history.edit');
+    editButton.addEventListener('click', () => toggleHistoryEntryEdit(entry.id));
+    header.appendChild(editButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'btn-history-delete';
+    deleteButton.textContent = '×';
+    deleteButton.title = t('history.delete');
+    deleteButton.addEventListener('click', () => deleteMatchHistoryEntry(entry.id));
+    header.appendChild(deleteButton);
+
+    element.appendChild(header);
+
+    if (editing) {
+        element.appendChild(createHistoryEntryEditor(entry));
+        return element;
+    }
+
+    // One line per team, or a single line without teams
+    const groups = teams.length > 0 ? teams : [null];
+    groups.forEach(teamId => {
+        const line = document.createElement('div');
+        line.className = 'history-team';
+        if (teamId) {
+            line.style.setProperty('--team-color', getTeamColor(teamId));
+            line.classList.toggle('winner', entry.winner === teamId);
+        }
+
+        const players = entry.members
+            .filter(member => member.team === teamId)
+            .map(member => `${member.name} (${getItemNameByKey('weapon', member.weapon)})`)
+            .join(', ');
+        line.textContent = teamId ? `${getTeamLabel(teamId)}: ${players}` : players;
+        element.appendChild(line);
+    });
+
+    return element;
+}
+
+/**
+ * Start or finish editing the details of a history entry
+ */
+function toggleHistoryEntryEdit(entryId) {
+    editingHistoryEntryId = editingHistoryEntryId === entryId ? null : entryId;
+    renderMatchHistory();
+}
+
+/**
+ * Create the editor of a history entry: the rule and stage, and each
+ * member's team and weapon. Changes are saved immediately.
+ */
+function createHistoryEntryEditor(entry) {
+    const editor = document.createElement('div');
+    editor.className = 'history-editor';
+
+    const matchRow = document.createElement('div');
+    matchRow.className = 'history-editor-row';
+    ['rule', 'stage'].forEach(type => {
+        matchRow.appendChild(createHistoryItemSelect(type, entry[type], key => {
+            updateMatchHistoryEntry(entry.id, { [type]: key });
+        }));
+    });
+    editor.appendChild(matchRow);
+
+    // One team more than the last one used can be chosen, so that
+    // members can also be moved to a new team
+    const teamCount = Math.min(MAX_TEAM_COUNT,
+        Math.max(2, ...getHistoryEntryTeams(entry).map(teamId => getTeamIndex(teamId) + 2)));
+    const teamIds = [];
+    for (let index = 0; index < teamCount; index++) {
+        teamIds.push(getTeamId(index));
+    }
+
+    entry.members.forEach((member, memberIndex) => {
+        const row = document.createElement('div');
+        row.className = 'history-editor-row';
+
+        const name = document.createElement('span');
+        name.className = 'history-editor-name';
+        name.textContent = member.name;
+        row.appendChild(name);
+
+        const teamSelect = document.createElement('select');
+        teamSelect.className = 'history-editor-select';
+        [''].concat(teamIds).forEach(teamId => {
+            const option = document.createElement('option');
+            option.value = teamId;
+            option.textContent = teamId ? getTeamLabel(teamId) : t('history.noTeam');
+            teamSelect.appendChild(option);
+        });
+        teamSelect.value = member.team || '';
+        teamSelect.addEventListener('change', () => {
+            updateHistoryEntryMember(entry.id, memberIndex, { team: teamSelect.value || null });
+        });
+        row.appendChild(teamSelect);
+
+        row.appendChild(createHistoryItemSelect('weapon', member.weapon, key => {
+            updateHistoryEntryMember(entry.id, memberIndex, { weapon: key });
+        }));
+        editor.appendChild(row);
+    });
+
+    return editor;
+}
+
+/**
+ * Create a select of every item of a category for the history editor
+ * An item no longer in the data is kept as an option named by its key.
+ * onChange is called with the chosen key (null for none).
+ */
+function createHistoryItemSelect(type, key, onChange) {
+    const select = document.createElement('select');
+    select.className = 'history-editor-select';
+    select.title = getTypeName(type);
+
+    const options = data[DATA_KEYS[type]].map(item => ({ key: item.key, name: getItemName(type, item) }));
+    if (key && !options.some(option => option.key === key)) {
+        options.push({ key: key, name: key });
+    }
+    if (!key) {
+        options.unshift({ key: '', name: '-' });
+    }
+    options.forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.key;
+        option.textContent = item.name;
+        select.appendChild(option);
+    });
+
+    select.value = key || '';
+    select.addEventListener('change', () => onChange(select.value || null));
+    return select;
+}
+
+/**
+ * Update one member of a history entry
+ * The winner is cleared once no member is left on the winning team.
+ */
+function updateHistoryEntryMember(entryId, memberIndex, changes) {
+    const entry = loadMatchHistory().find(item => item.id === entryId);
+    if (!entry || !entry.members[memberIndex]) return;
+
+    const members = entry.members.map((member, index) =>
+        index === memberIndex ? Object.assign({}, member, changes) : member
+    );
+    const winner = members.some(member => member.team && member.team === entry.winner) ? entry.winner : null;
+    updateMatchHistoryEntry(entryId, { members: members, winner: winner });
+}
+
+// ========== History Export & Import ==========
+
+/**
+ * Build the export of a history entry
+ * Items, teams and the winner are written with their stable keys and the
+ * names in the current language.
+ */
+function createHistoryExportEntry(entry) {
+    const exportItem = (type, key) => key ? { key: key, name: getItemNameByKey(type, key) } : null;
+    return {
+        id: entry.id,
+        timestamp: entry.timestamp,
+        seed: entry.seed || null,
+        rule: exportItem('rule', entry.rule),
+        stage: exportItem('stage', entry.stage),
+        winner: entry.winner ? { team: entry.winner, name: getTeamLabel(entry.winner) } : null,
+        members: entry.members.map(member => ({
+            id: member.id,
+            name: member.name,
+            team: member.team ? { key: member.team, name: getTeamLabel(member.team) } : null,
+            weapon: exportItem('weapon', member.weapon)
+        }))
+    };
+}
+
+/**
+ * Export the match history as a JSON file
+ */
+function exportHistoryJson() {
+    const history = loadMatchHistory();
+    if (history.length === 0) {
+        alert(t('historyExport.empty'));
+        return;
+    }
+
+    const json = {
+        format: HISTORY_EXPORT_FORMAT,
+        version: HISTORY_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        language: currentLanguage,
+        entries: history.map(createHistoryExportEntry)
+    };
+    downloadFile(`${getHistoryFileName()}.json`, JSON.stringify(json, null, 2), 'application/json');
+}
+
+/**
+ * Export the match history as a CSV file, one row per member of each entry
+ */
+function exportHistoryCsv() {
+    const history = loadMatchHistory();
+    if (history.length === 0) {
+        alert(t('historyExport.empty'));
+        return;
+    }
+
+    const rows = [HISTORY_CSV_COLUMNS];
+    history.map(createHistoryExportEntry).forEach(entry => {
+        entry.members.forEach(member => {
+            const result = entry.winner && member.team
+                ? (member.team.key === entry.winner.team ? 'win' : 'lose')
+                : '';
+            rows.push([
+                entry.id,
+                new Date(entry.timestamp).toISOString(),
+                entry.seed || '',
+                entry.rule ? entry.rule.key : '',
+                entry.rule ? entry.rule.name : '',
+                entry.stage ? entry.stage.key : '',
+                entry.stage ? entry.stage.name : '',
+                entry.winner ? entry.winner.team : '',
+                entry.winner ? entry.winner.name : '',
+                member.id,
+                member.name,
+                member.team ? member.team.key : '',
+                member.team ? member.team.name : '',
+                member.weapon ? member.weapon.key : '',
+                member.weapon ? member.weapon.name : '',
+                result
+            ]);
+        });
+    });
+
+    // The BOM lets spreadsheet apps detect UTF-8 (Japanese names)
+    const csv = '\uFEFF' + rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+    downloadFile(`${getHistoryFileName()}.csv`, csv, 'text/csv');
+}
+
+/**
+ * Quote a CSV value if needed
+ * Values that spreadsheet apps would run as a formula (e.g. a name starting
+ * with "=") are prefixed with a quote so that they are shown as text.
+ */
+function escapeCsvValue(value) {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Get the file name for a history export (without extension)
+ */
+function getHistoryFileName() {
+    return `spla-history-${formatFileTimestamp(new Date())}`;
+}
+
+/**
+ * Parse an exported history JSON into history entries
+ * Accepts the export format or a plain list of entries.
+ * Throws an error with a localized message if the file is not valid.
+ */
+function parseHistoryImport(text) {
+    const json = JSON.parse(text);
+    const entries = Array.isArray(json) ? json : (json && json.entries);
+    if (!Array.isArray(entries)) {
+        throw new Error(t('historyImport.notHistory'));
+    }
+
+    // Items and teams may be exported as { key, name } or stored as plain keys
+    const toKey = value => {
+        if (value && typeof value === 'object') value = value.key || value.team;
+        return typeof value === 'string' && value ? value : null;
+    };
+
+    return entries.map((entry, index) => {
+        if (!entry || typeof entry.id !== 'string' || typeof entry.timestamp !== 'number' ||
+            !Array.isArray(entry.members) ||
+            !entry.members.every(member => member && typeof member.id === 'string' && typeof member.name === 'string')) {
+            throw new Error(t('historyImport.invalidEntry', { n: index + 1 }));
+        }
+        return {
+            id: entry.id,
+            timestamp: entry.timestamp,
+            seed: typeof entry.seed === 'string' ? entry.seed : null,
+            rule: toKey(entry.rule),
+            stage: toKey(entry.stage),
+            members: entry.members.map(member => ({
+                id: member.id,
+                name: member.name,
+                team: toKey(member.team),
+                weapon: toKey(member.weapon)
+            })),
+            winner: toKey(entry.winner)
+        };
+    });
+}
+
+/**
+ * Map member IDs of imported entries to local members with the same name
+ * Member IDs are generated per browser, so a history exported on another
+ * device has different IDs for the same players. IDs already known here are
+ * kept; names are looked up in the roster first, then in the history.
+ * Returns the number of imported IDs that were mapped.
+ */
+function mapImportedMemberIds(imported, history) {
+    const localIds = new Set();
+    const idsByName = new Map();
+    history.forEach(entry => {
+        entry.members.forEach(member => {
+            localIds.add(member.id);
+            idsByName.set(member.name.trim(), member.id);
+        });
+    });
+    roster.forEach(member => {
+        localIds.add(member.id);
+        idsByName.set(getMemberName(member.id).trim(), member.id);
+    });
+
+    const mappedIds = new Set();
+    imported.forEach(entry => {
+        entry.members.forEach(member => {
+            if (localIds.has(member.id)) return;
+            const localId = idsByName.get(member.name.trim());
+            // Two players of one match can't become the same member
+            if (!localId || entry.members.some(other => other.id === localId)) return;
+            mappedIds.add(member.id);
+            member.id = localId;
+        });
+    });
+    return mappedIds.size;
+}
+
+/**
+ * Merge an exported history JSON file into the match history
+ * Entries already in the history (same ID) are skipped, but a missing
+ * winner is filled in from the imported entry. Only the newest
+ * MAX_HISTORY_ENTRIES entries are kept.
+ */
+async function importHistoryFile(file) {
+    let imported;
+    try {
+        imported = parseHistoryImport(await file.text());
+    } catch (error) {
+        console.error('Error importing history file:', error);
+        alert(t('historyImport.failed', { message: error.message }));
+        return;
+    }
+
+    const history = loadMatchHistory();
+    const mappedMembers = mapImportedMemberIds(imported, history);
+    const existing = new Map(history.map(entry => [entry.id, entry]));
+    const addedIds = new Set();
+    const updatedIds = new Set();
+    imported.forEach(entry => {
+        const current = existing.get(entry.id);
+        if (!current) {
+            history.push(entry);
+            existing.set(entry.id, entry);
+            addedIds.add(entry.id);
+        } else if (!current.winner && entry.winner) {
+            current.winner = entry.winner;
+            updatedIds.add(entry.id);
+        }
+    });
+    const skipped = imported.length - addedIds.size - updatedIds.size;
+
+    // The cap is applied first, so that only entries actually kept are counted
+    history.sort((a, b) => a.timestamp - b.timestamp);
+    const kept = history.slice(-MAX_HISTORY_ENTRIES);
+    saveMatchHistory(kept);
+    refreshMatchHistoryViews();
+
+    const messages = [t('historyImport.done', {
+        added: kept.filter(entry => addedIds.has(entry.id)).length,
+        updated: kept.filter(entry => updatedIds.has(entry.id)).length,
+        skipped: skipped
+    })];
+    if (mappedMembers > 0) {
+        messages.push(t('historyImport.mappedMembers', { count: mappedMembers }));
+    }
+    if (kept.length < history.length) {
+        messages.push(t('historyImport.trimmed', {
+            count: history.length - kept.length,
+            max: MAX_HISTORY_ENTRIES
+        }));
+    }
+    alert(messages.join('\n'));
+}
+
+/**
+ * Initialize the history import file input
+ */
+function initializeHistoryImport() {
+    const fileInput = document.getElementById('importHistoryFile');
+    if (!fileInput) return;
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            importHistoryFile(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+}
+
+// ========== Statistics ==========
+
+/**
+ * Render the statistics view for the selected target
+ * Win rates only count history entries with a recorded winner.
+ */
+function renderStatistics() {
+    const viewSelect = document.getElementById('statsView');
+    const memberSelect = document.getElementById('statsMember');
+    const head = document.getElementById('statsHead');
+    const body = document.getElementById('statsBody');
+    const note = document.getElementById('statsNote');
+    if (!viewSelect || !memberSelect || !head || !body) return;
+
+    const history = loadMatchHistory();
+    const view = viewSelect.value;
+    const isFrequency = view.startsWith('frequency-');
+
+    // Members can be chosen for the win rate of weapons, rules and stages
+    const previousMember = memberSelect.value;
+    memberSelect.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = t('stats.allMembers');
+    memberSelect.appendChild(allOption);
+    getHistoryMembers(history).forEach(member => {
+        const option = document.createElement('option');
+        option.value = member.id;
+        option.textContent = member.name;
+        memberSelect.appendChild(option);
+    });
+    memberSelect.value = previousMember;
+    if (memberSelect.selectedIndex === -1) memberSelect.value = '';
+    memberSelect.parentElement.style.display = view === 'member' || isFrequency ? 'none' : '';
+
+    const stats = isFrequency
+        ? getFrequencyStats(view.replace('frequency-', ''), history)
+        : getWinStats(view, memberSelect.value, history);
+
+    if (note) note.textContent = stats.note;
+
+    // Sort by the chosen column (numbers descending, names ascending by default)
+    const sortKey = stats.columns.some(column => column.key === statsSort.key)
+        ? statsSort.key
+        : stats.defaultSort;
+    const direction = statsSort.key === sortKey ? statsSort.direction : (sortKey === 'name' ? 1 : -1);
+    stats.rows.sort((a, b) => {
+        const x = a[sortKey];
+        const y = b[sortKey];
+        if (x === y) return a.name.localeCompare(b.name);
+        if (x === null) return 1;
+        if (y === null) return -1;
+        return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction;
+    });
+
+    head.innerHTML = '';
+    const headRow = document.createElement('tr');
+    stats.columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column.label + (column.key === sortKey ? (direction > 0 ? ' ▲' : ' ▼') : '');
+        th.addEventListener('click', () => sortStatistics(column.key, sortKey, direction));
+        headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    body.innerHTML = '';
+    if (stats.rows.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = stats.columns.length;
+        cell.className = 'stats-empty';
+        cell.textContent = t('stats.empty');
+        row.appendChild(cell);
+        body.appendChild(row);
+        return;
+    }
+
+    // Shares are drawn relative to the largest one so small shares stay visible
+    const maxShare = Math.max(...stats.rows.map(row => Math.max(row.actualShare || 0, row.expectedShare || 0)), 0);
+    stats.rows.forEach(rowData => {
+        const row = document.createElement('tr');
+        stats.columns.forEach(column => {
+            const cell = document.createElement('td');
+            const value = rowData[column.key];
+            if (column.format === 'bar') {
+                cell.appendChild(createStatsBar(value, 1));
+            } else if (column.format === 'share') {
+                cell.appendChild(createStatsBar(value, maxShare, rowData.expectedShare));
+            } else if (column.format === 'percent') {
+                cell.textContent = formatPercent(value);
+            } else if (column.format === 'difference') {
+                cell.textContent = value === null ? '-' : (value > 0 ? '+' : '') + formatPercent(value);
+                cell.classList.toggle('stats-over', value > 0);
+                cell.classList.toggle('stats-under', value < 0);
+            } else {
+                cell.textContent = value === null ? '-' : value;
+            }
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Sort the statistics table by a column, reversing the order on a second click
+ */
+function sortStatistics(columnKey, currentKey, currentDirection) {
+    statsSort = columnKey === currentKey
+        ? { key: columnKey, direction: -currentDirection }
+        : { key: columnKey, direction: columnKey === 'name' ? 1 : -1 };
+    renderStatistics();
+}
+
+/**
+ * Create a bar for a ratio, with an optional marker for the expected ratio
+ */
+function createStatsBar(value, max, expected) {
+    const bar = document.createElement('div');
+    bar.className = 'stats-bar';
+
+    const fill = document.createElement('div');
+    fill.className = 'stats-bar-fill';
+    fill.style.width = `${max > 0 && value !== null ? value / max * 100 : 0}%`;
+    bar.appendChild(fill);
+
+    if (expected !== undefined && expected !== null && max > 0) {
+        const marker = document.createElement('div');
+        marker.className = 'stats-bar-expected';
+        marker.style.left = `${expected / max * 100}%`;
+        marker.title = t('stats.expectedShare');
+        bar.appendChild(marker);
+    }
+
+    const label = document.createElement('span');
+    label.className = 'stats-bar-label';
+    label.textContent = formatPercent(value);
+    bar.appendChild(label);
+    return bar;
+}
+
+/**
+ * Format a ratio as a percentage (one decimal place)
+ */
+function formatPercent(value) {
+    return value === null || value === undefined ? '-' : `${Math.round(value * 1000) / 10}%`;
+}
+
+/**
+ * Get every member in the roster or the history, with their current name
+ * Members no longer in the roster keep the name from their latest entry.
+ */
+function getHistoryMembers(history) {
+    const members = new Map();
+    history.forEach(entry => {
+        entry.members.forEach(member => members.set(member.id, member.name));
+    });
+    roster.forEach(member => {
+        if (members.has(member.id)) members.set(member.id, getMemberName(member.id));
+    });
+    return [...members].map(([id, name]) => ({ id, name }));
+}
+
+/**
+ * Get the win statistics for members, weapons, rules or stages
+ * For weapons, rules and stages, the win rate is from memberId's point of
+ * view; without a member, weapons count every player and rules and stages
+ * only count matches.
+ */
+function getWinStats(view, memberId, history) {
+    const decided = history.filter(entry => entry.winner);
+    const names = new Map(getHistoryMembers(history).map(member => [member.id, member.name]));
+    const rows = new Map();
+    const count = (key, name, won) => {
+        if (!rows.has(key)) rows.set(key, { name: name, games: 0, wins: won === null ? null : 0 });
+        const row = rows.get(key);
+        row.games++;
+        if (won !== null) row.wins = (row.wins || 0) + (won ? 1 : 0);
+    };
+
+    decided.forEach(entry => {
+        const players = entry.members.filter(member => member.team && (!memberId || member.id === memberId));
+        if (view === 'member') {
+            players.forEach(member => count(member.id, names.get(member.id), member.team === entry.winner));
+        } else if (view === 'weapon') {
+            players.filter(member => member.weapon).forEach(member => {
+                count(member.weapon, getItemNameByKey('weapon', member.weapon), member.team === entry.winner);
+            });
+        } else if (entry[view]) {
+            const won = memberId
+                ? (players.length > 0 ? players[0].team === entry.winner : undefined)
+                : null;
+            if (won !== undefined) count(entry[view], getItemNameByKey(view, entry[view]), won);
+        }
+    });
+
+    const statsRows = [...rows.values()].map(row => Object.assign(row, {
+        losses: row.wins === null ? null : row.games - row.wins,
+        winRate: row.wins === null ? null : row.wins / row.games
+    }));
+    return {
+        columns: [
+            { key: 'name', label: t(view === 'member' ? 'stats.member' : `type.${view}`) },
+            { key: 'games', label: t('stats.games') },
+            { key: 'wins', label: t('stats.wins') },
+            { key: 'losses', label: t('stats.losses') },
+            { key: 'winRate', label: t('stats.winRate'), format: 'bar' }
+        ],
+        rows: statsRows,
+        defaultSort: memberId || view === 'member' || view === 'weapon' ? 'winRate' : 'games',
+        note: t('stats.decidedNote', { count: decided.length })
+    };
+}
+
+/**
+ * Compare how often each item came up with its expected frequency
+ * Expected shares use the current filters, weights and member pools
+ * (without anti-repeat and bag mode, which depend on the previous rolls).
+ */
+function getFrequencyStats(type, history) {
+    const rows = new Map();
+    const row = key => {
+        if (!rows.has(key)) {
+            rows.set(key, { name: getItemNameByKey(type, key), actual: 0, expected: 0 });
+        }
+        return rows.get(key);
+    };
+
+    // Each rule, stage or weapon result in the history is one sample.
+    // Samples are counted per pool (each member's weapons, or the rules /
+    // stages), so that the expected shares of each pool are worked out once.
+    let samples = 0;
+    const pools = new Map();
+    const addSample = (key, poolKey, getItems) => {
+        samples++;
+        row(key).actual++;
+        if (!pools.has(poolKey)) pools.set(poolKey, { getItems: getItems, count: 0 });
+        pools.get(poolKey).count++;
+    };
+    history.forEach(entry => {
+        if (type === 'weapon') {
+            entry.members.filter(member => member.weapon).forEach(member => {
+                addSample(member.weapon, member.id, () => getMemberWeaponItems(member.id));
+            });
+        } else if (entry[type]) {
+            const tricolor = entry.rule === TRICOLOR_RULE;
+            addSample(entry[type], type === 'stage' ? `stage:${tricolor}` : type,
+                () => type === 'rule' ? getAvailableItems('rule') : getStagePool(tricolor));
+        }
+    });
+
+    const itemWeights = areWeightsEnabled() ? loadItemWeights() : null;
+    pools.forEach(pool => {
+        const items = pool.getItems();
+        const weights = items.map(item => getItemWeight(type, item.key, itemWeights));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        items.forEach((item, index) => {
+            const share = total > 0 ? weights[index] / total : 1 / items.length;
+            row(item.key).expected += share * pool.count;
+        });
+    });
+
+    const statsRows = [...rows.values()].map(item => ({
+        name: item.name,
+        actual: item.actual,
+        actualShare: samples > 0 ? item.actual / samples : null,
+        expectedShare: samples > 0 ? item.expected / samples : null,
+        difference: samples > 0 ? (item.actual - item.expected) / samples : null
+    }));
+    return {
+        columns: [
+            { key: 'name', label: getTypeName(type) },
+            { key: 'actual', label: t('stats.actual') },
+            { key: 'actualShare', label: t('stats.actualShare'), format: 'share' },
+            { key: 'expectedShare', label: t('stats.expectedShare'), format: 'percent' },
+            { key: 'difference', label: t('stats.difference'), format: 'difference' }
+        ],
+        rows: statsRows,
+        defaultSort: 'actual',
+        note: t('stats.frequencyNote', { count: samples })
+    };
+}
+
+/**
+ * Initialize statistics view selects
+ */
+function initializeStatistics() {
+    ['statsView', 'statsMember'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', renderStatistics);
+    });
+}
+
+// ========== Result Sharing ==========
+
+/**
+ * Build a link to the current results and show it (copied to the clipboard when possible)
+ * The link holds the rule, stage, seed and each member's name, team and
+ * weapon by key, so it opens the same result anywhere.
+ */
+function shareResults() {
+    const members = getActiveMembers();
+    const rule = currentResults['common-rule'];
+    const stage = currentResults['common-stage'];
+    const hasWeapons = members.some(member => currentResults[getWeaponResultKey(member.id)]);
+    if (!rule && !stage && !hasWeapons) {
+        alert(t('share.noResults'));
+        return;
+    }
+
+    const seedElement = document.getElementById('rollSeed');
+    const payload = {
+        v: SHARE_FORMAT_VERSION,
+        t: Date.now(),
+        seed: seedElement && seedElement.dataset.seed ? seedElement.dataset.seed : null,
+        rule: rule ? rule.key : null,
+        stage: stage ? stage.key : null,
+        members: members.map(member => {
+            const weapon = currentResults[getWeaponResultKey(member.id)];
+            const team = currentTeams[member.id];
+            return [getMemberName(member.id), weapon ? weapon.key : null, team ? getTeamIndex(team) : -1];
+        })
+    };
+
+    const url = `${location.href.split('#')[0]}#${SHARE_HASH_PREFIX}${encodeSharePayload(payload)}`;
+    const linkInput = document.getElementById('shareLink');
+    const status = document.getElementById('shareStatus');
+    if (linkInput) {
+        linkInput.value = url;
+        linkInput.style.display = '';
+    }
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url)
+            .then(() => {
+                if (status) status.textContent = t('share.copied');
+            })
+            .catch(() => {
+                if (status) status.textContent = t('share.copyManually');
+            });
+    } else if (status) {
+        status.textContent = t('share.copyManually');
+    }
+}
+
+/**
+ * Encode a share payload as URL-safe base64 of its UTF-8 JSON
+ */
+function encodeSharePayload(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode and validate a share payload
+ * Returns null if the text is not a valid shared result. Values are
+ * checked and trimmed, as the link may come from anyone.
+ */
+function decodeSharePayload(text) {
+    try {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const payload = JSON.parse(new TextDecoder().decode(bytes));
+        if (!payload || payload.v !== SHARE_FORMAT_VERSION || !Array.isArray(payload.members)) {
+            return null;
+        }
 
-    // Apply team division if enabled
-    const teamDivisionEnabled = document.getElementById('teamDivisionToggle').checked;
-    if (teamDivisionEnabled) {
-        applyTeamDivisionState(true);
+        const toKey = value => typeof value === 'string' && SHARE_KEY_PATTERN.test(value) ? value : null;
+        return {
+            timestamp: typeof payload.t === 'number' ? payload.t : null,
+            seed: toKey(payload.seed),
+            rule: toKey(payload.rule),
+            stage: toKey(payload.stage),
+            members: payload.members.slice(0, SHARE_MAX_MEMBERS)
+                .filter(member => Array.isArray(member) && typeof member[0] === 'string')
+                .map(([name, weapon, team]) => ({
+                    name: name.slice(0, SHARE_MAX_NAME_LENGTH),
+                    weapon: toKey(weapon),
+                    team: Number.isInteger(team) && team >= 0 && team < MAX_TEAM_COUNT ? getTeamId(team) : null
+                }))
+        };
+    } catch (error) {
+        console.error('Error decoding shared result:', error);
+        return null;
     }
+}
 
-    runRoulette('rule');
-    runRoulette('stage');
-    runRoulette('weapon');
+/**
+ * Get the shared result in the URL hash, if any
+ */
+function getSharedResultFromHash() {
+    const hash = location.hash.slice(1);
+    return hash.startsWith(SHARE_HASH_PREFIX)
+        ? decodeSharePayload(hash.slice(SHARE_HASH_PREFIX.length))
+        : null;
 }
 
 /**
- * Run rule roulette only
+ * Show the shared result from the URL hash in a read-only view
+ * The visitor's own members, filters and results are not changed.
  */
-function runRuleRoulette() {
-    runRoulette('rule');
+function applySharedResultFromHash() {
+    const isShareLink = location.hash.startsWith(`#${SHARE_HASH_PREFIX}`);
+    sharedResult = getSharedResultFromHash();
+    if (isShareLink && !sharedResult) {
+        alert(t('share.invalid'));
+    }
+
+    const main = document.querySelector('.main-content');
+    if (main) main.classList.toggle('shared-mode', Boolean(sharedResult));
+    renderSharedResult();
 }
 
 /**
- * Run stage roulette only
+ * Leave the shared result view
  */
-function runStageRoulette() {
-    runRoulette('stage');
+function closeSharedResult() {
+    history.replaceState(null, '', location.pathname + location.search);
+    applySharedResultFromHash();
 }
 
 /**
- * Run weapon roulette only
+ * Render the read-only view of the shared result
+ * Item names are resolved from the visitor's data in their language.
  */
-function runWeaponRoulette() {
-    runRoulette('weapon');
+function renderSharedResult() {
+    const section = document.getElementById('sharedSection');
+    if (!section) return;
+    if (!sharedResult) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = '';
+
+    const info = document.getElementById('sharedInfo');
+    if (info) {
+        const parts = [];
+        if (sharedResult.timestamp) parts.push(formatDateTime(sharedResult.timestamp));
+        if (sharedResult.seed) parts.push(t('share.seed', { seed: sharedResult.seed }));
+        info.textContent = parts.join(' / ');
+    }
+    document.getElementById('sharedRule').textContent = getItemNameByKey('rule', sharedResult.rule);
+    document.getElementById('sharedStage').textContent = getItemNameByKey('stage', sharedResult.stage);
+
+    const container = document.getElementById('sharedMembers');
+    container.innerHTML = '';
+    sharedResult.members.forEach(member => {
+        const card = document.createElement('div');
+        card.className = 'result-card';
+        applyTeamStyle(card, member.team);
+
+        const name = document.createElement('h3');
+        name.textContent = member.name;
+        card.appendChild(name);
+
+        if (member.team) {
+            const teamLabel = document.createElement('div');
+            teamLabel.className = 'result-team-label';
+            teamLabel.textContent = getTeamLabel(member.team);
+            card.appendChild(teamLabel);
+        }
+
+        const item = document.createElement('div');
+        item.className = 'result-item';
+        const label = document.createElement('div');
+        label.className = 'result-label';
+        label.textContent = t('type.weapon');
+        const weapon = document.createElement('div');
+        weapon.className = 'result-value result-weapon';
+        weapon.textContent = getItemNameByKey('weapon', member.weapon);
+        item.appendChild(label);
+        item.appendChild(weapon);
+        card.appendChild(item);
+
+        container.appendChild(card);
+    });
 }
 
-// ========== Team Division ==========
+// ========== Result Image ==========
 
 /**
- * Divide members into two teams randomly
+ * Load the image card options (seed and timestamp)
  */
-function divideTeams() {
-    const memberCount = parseInt(document.getElementById('memberCount').value);
+function loadImageOptions() {
+    try {
+        const saved = localStorage.getItem(IMAGE_OPTIONS_KEY);
+        if (saved) {
+            return Object.assign({}, DEFAULT_IMAGE_OPTIONS, JSON.parse(saved));
+        }
+    } catch (error) {
+        console.error('Error loading image options:', error);
+    }
+    return Object.assign({}, DEFAULT_IMAGE_OPTIONS);
+}
 
-    // Get member names
-    const members = [];
-    for (let i = 1; i <= memberCount; i++) {
-        const memberName = document.getElementById(`memberName${i}`).value;
-        members.push(memberName);
+/**
+ * Initialize the image card option checkboxes
+ */
+function initializeImageOptions() {
+    const options = loadImageOptions();
+    const checkboxes = {
+        seed: document.getElementById('imageIncludeSeed'),
+        timestamp: document.getElementById('imageIncludeTimestamp')
+    };
+
+    Object.entries(checkboxes).forEach(([option, checkbox]) => {
+        if (!checkbox) return;
+        checkbox.checked = options[option];
+        checkbox.addEventListener('change', () => {
+            const updated = loadImageOptions();
+            updated[option] = checkbox.checked;
+            localStorage.setItem(IMAGE_OPTIONS_KEY, JSON.stringify(updated));
+        });
+    });
+}
+
+/**
+ * Check if there are results to draw (alerts if there are none)
+ */
+function checkImageResults() {
+    const hasResults = currentResults['common-rule'] || currentResults['common-stage'] ||
+        getActiveMembers().some(member => currentResults[getWeaponResultKey(member.id)]);
+    if (!hasResults) {
+        alert(t('share.noResults'));
     }
+    return Boolean(hasResults);
+}
+
+/**
+ * Create the PNG of the current results
+ * The promise is rejected if the canvas could not be encoded.
+ */
+function createResultImageBlob() {
+    const canvas = drawResultImage(loadImageOptions());
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to encode the result image'));
+            }
+        }, 'image/png');
+    });
+}
 
-    // Shuffle members
-    const shuffledMembers = shuffleArray(members);
+/**
+ * Download the results as a PNG image
+ */
+async function downloadResultImage() {
+    if (!checkImageResults()) return;
 
-    // Calculate team sizes
-    const alphaSize = Math.ceil(memberCount / 2);
+    try {
+        const blob = await createResultImageBlob();
+        downloadFile(`spla-result-${formatFileTimestamp(new Date())}.png`, blob, 'image/png');
+    } catch (error) {
+        console.error('Error creating result image:', error);
+        alert(t('image.createFailed'));
+    }
+}
 
-    // Divide into teams
-    const alphaTeam = shuffledMembers.slice(0, alphaSize);
-    const bravoTeam = shuffledMembers.slice(alphaSize);
+/**
+ * Copy the results to the clipboard as a PNG image
+ * The clipboard item is created right away with a promise of the image,
+ * as Safari only allows writing to the clipboard within the click itself.
+ */
+async function copyResultImage() {
+    const status = document.getElementById('imageStatus');
+    if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+        alert(t('image.copyUnsupported'));
+        return;
+    }
+    if (!checkImageResults()) return;
 
-    // Display results
-    displayTeamResults(alphaTeam, bravoTeam);
-    // Update result cards with team information
-    updateResultCardsTeamColor();
+    try {
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': createResultImageBlob() })]);
+        if (status) status.textContent = t('image.copied');
+    } catch (error) {
+        console.error('Error copying result image:', error);
+        alert(t('image.copyFailed'));
+    }
 }
 
 /**
- * Shuffle array using Fisher-Yates algorithm
+ * Draw the current results onto a canvas
+ * Rule and stage come first, then a block of members for each team (or
+ * all members when teams are not divided), using the page's colors.
  */
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+function drawResultImage(options) {
+    const style = getComputedStyle(document.documentElement);
+    const color = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    const colors = {
+        primary: color('--primary-color', '#ff6600'),
+        secondary: color('--secondary-color', '#00cc99'),
+        background: color('--bg-color', '#f5f5f5'),
+        text: color('--text-color', '#333'),
+        border: color('--light-gray', '#ddd')
+    };
+    const font = getComputedStyle(document.body).fontFamily || 'sans-serif';
+    const { width, padding, gap, rowHeight, teamHeaderHeight } = IMAGE_LAYOUT;
+
+    // Members grouped by team, or split into two columns without teams
+    const members = getActiveMembers();
+    const teamIds = getCurrentTeamIds();
+    let blocks;
+    if (teamIds.length > 0) {
+        blocks = teamIds.map(teamId => ({
+            teamId: teamId,
+            members: members.filter(member => currentTeams[member.id] === teamId)
+        }));
+    } else {
+        const half = Math.ceil(members.length / 2);
+        blocks = [{ teamId: null, members: members.slice(0, half) }, { teamId: null, members: members.slice(half) }]
+            .filter(block => block.members.length > 0);
     }
-    return shuffled;
+    const columns = Math.max(1, Math.min(blocks.length, 4));
+    const blockWidth = (width - padding * 2 - gap * (columns - 1)) / columns;
+    const blockRows = [];
+    for (let i = 0; i < blocks.length; i += columns) {
+        blockRows.push(blocks.slice(i, i + columns));
+    }
+    const blockRowHeights = blockRows.map(row => Math.max(...row.map(block =>
+        (block.teamId ? teamHeaderHeight : 0) + block.members.length * rowHeight + 16)));
+
+    const footerParts = [];
+    const seedElement = document.getElementById('rollSeed');
+    if (options.seed && seedElement && seedElement.dataset.seed) {
+        footerParts.push(t('share.seed', { seed: seedElement.dataset.seed }));
+    }
+    if (options.timestamp) footerParts.push(formatDateTime(Date.now()));
+    footerParts.push(location.host);
+
+    const titleHeight = 70;
+    const commonHeight = 96;
+    const footerHeight = 40;
+    const height = padding + titleHeight + commonHeight + gap +
+        blockRowHeights.reduce((sum, rowHeightValue) => sum + rowHeightValue + gap, 0) +
+        footerHeight + padding;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width * IMAGE_SCALE;
+    canvas.height = height * IMAGE_SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(IMAGE_SCALE, IMAGE_SCALE);
+    ctx.textBaseline = 'middle';
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, width, height);
+
+    // Title
+    let y = padding;
+    ctx.fillStyle = colors.primary;
+    ctx.font = `bold 32px ${font}`;
+    ctx.textAlign = 'center';
+    ctx.fillText(fitCanvasText(ctx, t('app.title'), width - padding * 2), width / 2, y + titleHeight / 2);
+    ctx.textAlign = 'left';
+    y += titleHeight;
+
+    // Rule and stage
+    const commonWidth = (width - padding * 2 - gap) / 2;
+    [['rule', 'common-rule'], ['stage', 'common-stage']].forEach(([type, resultKey], index) => {
+        const x = padding + index * (commonWidth + gap);
+        const item = currentResults[resultKey];
+        fillRoundRect(ctx, x, y, commonWidth, commonHeight, 8, 'white', colors.primary);
+        ctx.fillStyle = colors.secondary;
+        ctx.font = `bold 16px ${font}`;
+        ctx.fillText(getTypeName(type), x + 20, y + 28);
+        ctx.fillStyle = colors.text;
+        ctx.font = `bold 26px ${font}`;
+        ctx.fillText(fitCanvasText(ctx, item ? getItemName(type, item) : '-', commonWidth - 40), x + 20, y + 64);
+    });
+    y += commonHeight + gap;
+
+    // Members with their weapons, one block per team
+    blockRows.forEach((row, rowIndex) => {
+        row.forEach((block, index) => {
+            const x = padding + index * (blockWidth + gap);
+            const borderColor = block.teamId ? getTeamColor(block.teamId) : colors.primary;
+            fillRoundRect(ctx, x, y, blockWidth, blockRowHeights[rowIndex], 8, 'white', borderColor);
+
+            let rowY = y + 8;
+            if (block.teamId) {
+                ctx.fillStyle = borderColor;
+                ctx.font = `bold 18px ${font}`;
+                ctx.fillText(fitCanvasText(ctx, getTeamLabel(block.teamId), blockWidth - 32), x + 16, rowY + teamHeaderHeight / 2);
+                rowY += teamHeaderHeight;
+            }
+
+            block.members.forEach(member => {
+                const weapon = currentResults[getWeaponResultKey(member.id)];
+                ctx.fillStyle = '#666';
+                ctx.font = `14px ${font}`;
+                ctx.fillText(fitCanvasText(ctx, getMemberName(member.id), blockWidth - 32), x + 16, rowY + 16);
+                ctx.fillStyle = colors.text;
+                ctx.font = `bold 20px ${font}`;
+                ctx.fillText(fitCanvasText(ctx, weapon ? getItemName('weapon', weapon) : '-', blockWidth - 32), x + 16, rowY + 38);
+                rowY += rowHeight;
+            });
+        });
+        y += blockRowHeights[rowIndex] + gap;
+    });
+
+    // Footer
+    ctx.fillStyle = '#999';
+    ctx.font = `14px ${font}`;
+    ctx.textAlign = 'right';
+    ctx.fillText(fitCanvasText(ctx, footerParts.join('  /  '), width - padding * 2), width - padding, y + footerHeight / 2);
+
+    return canvas;
 }
 
 /**
- * Update result cards with team color and information
+ * Fill a rounded rectangle with a border
  */
-function updateResultCardsTeamColor() {
-    const memberCount = parseInt(document.getElementById('memberCount').value);
+function fillRoundRect(ctx, x, y, width, height, radius, fill, stroke) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+    ctx.fillStyle = fill;
+    ctx.fill();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = stroke;
+    ctx.stroke();
+}
 
-    for (let i = 1; i <= memberCount; i++) {
-        const card = document.getElementById(`result-${i}`);
-        if (!card) continue;
+/**
+ * Shorten text with an ellipsis to fit the given width
+ */
+function fitCanvasText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 0 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
 
-        // Remove previous team classes
-        card.classList.remove('alpha-team', 'bravo-team');
+// ========== Team Balance ==========
 
-        // Remove old team label if exists
-        const oldTeamLabel = card.querySelector('.result-team-label');
-        if (oldTeamLabel) {
-            oldTeamLabel.remove();
+/**
+ * Check if team weapon balancing is enabled
+ */
+function isTeamBalanceEnabled() {
+    return localStorage.getItem(TEAM_BALANCE_ENABLED_KEY) === 'true';
+}
+
+/**
+ * Load team balance rules from localStorage
+ */
+function loadTeamBalanceRules() {
+    try {
+        const saved = localStorage.getItem(TEAM_BALANCE_RULES_KEY);
+        if (saved) {
+            const rules = JSON.parse(saved);
+            if (Array.isArray(rules)) return rules;
         }
+    } catch (error) {
+        console.error('Error loading team balance rules:', error);
+    }
+    return DEFAULT_TEAM_BALANCE_RULES.map(rule => ({ ...rule }));
+}
 
-        // Add new team class and label if team assigned
-        const teamInfo = currentTeams[i];
-        if (teamInfo) {
-            const teamClass = teamInfo === 'alpha' ? 'alpha-team' : 'bravo-team';
-            card.classList.add(teamClass);
+/**
+ * Save team balance rules to localStorage
+ */
+function saveTeamBalanceRules(rules) {
+    localStorage.setItem(TEAM_BALANCE_RULES_KEY, JSON.stringify(rules));
+}
 
-            const teamName = teamInfo === 'alpha' ? 'アルファグループ' : 'ブラボーグループ';
-            const teamLabel = document.createElement('div');
-            teamLabel.className = 'result-team-label';
-            teamLabel.textContent = teamName;
+/**
+ * Get the class key of a weapon
+ */
+function getWeaponClass(weapon) {
+    return weapon && weapon.type && weapon.type.key ? weapon.type.key : '';
+}
 
-            // Insert after h3
-            const h3 = card.querySelector('h3');
-            h3.insertAdjacentElement('afterend', teamLabel);
+/**
+ * Get the range of a weapon (short / mid / long), or '' if unknown
+ */
+function getWeaponRange(weapon) {
+    if (weapon && WEAPON_RANGES.includes(weapon.range)) {
+        return weapon.range;
+    }
+    return WEAPON_CLASS_RANGES[getWeaponClass(weapon)] || '';
+}
+
+/**
+ * Check if a weapon matches a rule target
+ */
+function weaponMatchesTarget(weapon, target) {
+    const [targetType, targetKey] = target.split(':');
+    if (targetType === 'class') return getWeaponClass(weapon) === targetKey;
+    if (targetType === 'range') return getWeaponRange(weapon) === targetKey;
+    return false;
+}
+
+/**
+ * Generate weapon picks whose team compositions satisfy the rules
+ * and are as similar as possible between teams. Several candidates are
+ * generated and the best one is kept; violations > 0 means no candidate
+ * satisfied every rule.
+ */
+function generateBalancedWeaponPicks(memberIds, memberItems, fixedPicks, context) {
+    const rules = loadTeamBalanceRules();
+    const teams = {};
+    memberIds.forEach(memberId => {
+        const team = currentTeams[memberId] || '';
+        if (!teams[team]) teams[team] = [];
+        teams[team].push(memberId);
+    });
+
+    let best = null;
+    for (let attempt = 0; attempt < TEAM_BALANCE_ATTEMPTS; attempt++) {
+        const candidate = generateWeaponPicks(memberIds, memberItems, fixedPicks, context);
+        candidate.violations = countBalanceViolations(candidate.picks, teams, rules);
+        candidate.imbalance = getCompositionImbalance(candidate.picks, teams);
+
+        if (!best || candidate.violations < best.violations ||
+            (candidate.violations === best.violations && candidate.imbalance < best.imbalance)) {
+            best = candidate;
         }
+        if (best.violations === 0 && best.imbalance === 0) break;
     }
+
+    return best;
 }
 
 /**
- * Display team division results
+ * Count how far team compositions are from satisfying the rules
+ */
+function countBalanceViolations(picks, teams, rules) {
+    let violations = 0;
+
+    Object.values(teams).forEach(teamMemberIds => {
+        rules.forEach(rule => {
+            const count = teamMemberIds.filter(memberId =>
+                weaponMatchesTarget(picks[memberId], rule.target)
+            ).length;
+
+            if (rule.kind === 'max' && count > rule.count) {
+                violations += count - rule.count;
+            } else if (rule.kind === 'min') {
+                // A team cannot have more matches than members
+                const required = Math.min(rule.count, teamMemberIds.length);
+                if (count < required) violations += required - count;
+            }
+        });
+    });
+
+    return violations;
+}
+
+/**
+ * Measure how different team compositions are:
+ * for each range and class, the gap between the teams with most and fewest
+ */
+function getCompositionImbalance(picks, teams) {
+    const teamCounts = Object.values(teams).map(teamMemberIds => {
+        const counts = {};
+        teamMemberIds.forEach(memberId => {
+            const weapon = picks[memberId];
+            const rangeKey = `range:${getWeaponRange(weapon)}`;
+            const classKey = `class:${getWeaponClass(weapon)}`;
+            counts[rangeKey] = (counts[rangeKey] || 0) + 1;
+            counts[classKey] = (counts[classKey] || 0) + 1;
+        });
+        return counts;
+    });
+    if (teamCounts.length < 2) return 0;
+
+    const keys = new Set();
+    teamCounts.forEach(counts => Object.keys(counts).forEach(key => keys.add(key)));
+
+    let imbalance = 0;
+    keys.forEach(key => {
+        const values = teamCounts.map(counts => counts[key] || 0);
+        imbalance += Math.max(...values) - Math.min(...values);
+    });
+    return imbalance;
+}
+
+/**
+ * Get the selectable rule targets: ranges, then classes found in the data
  */
-function displayTeamResults(alphaTeam, bravoTeam) {
-    // Store team information in currentTeams object
-    // First, get the member IDs for each team member
-    const memberCount = parseInt(document.getElementById('memberCount').value);
-    const memberNames = [];
-    for (let i = 1; i <= memberCount; i++) {
-        memberNames[i] = document.getElementById(`memberName${i}`).value;
+function getBalanceTargets() {
+    const targets = WEAPON_RANGES.map(range => ({
+        value: `range:${range}`,
+        label: t(`balance.range.${range}`)
+    }));
+
+    const seenClasses = [];
+    data.weapons.forEach(weapon => {
+        const classKey = getWeaponClass(weapon);
+        if (!classKey || seenClasses.includes(classKey)) return;
+        seenClasses.push(classKey);
+        targets.push({ value: `class:${classKey}`, label: getItemName('weapon', weapon.type) });
+    });
+
+    return targets;
+}
+
+/**
+ * Initialize team balance toggle
+ */
+function initializeTeamBalanceSettings() {
+    const checkbox = document.getElementById('teamBalanceToggle');
+    if (!checkbox) return;
+
+    checkbox.checked = isTeamBalanceEnabled();
+    checkbox.addEventListener('change', () => {
+        localStorage.setItem(TEAM_BALANCE_ENABLED_KEY, checkbox.checked);
+        renderTeamBalanceRules();
+    });
+    renderTeamBalanceRules();
+}
+
+/**
+ * Render the team balance rule editor
+ */
+function renderTeamBalanceRules() {
+    const container = document.getElementById('teamBalanceRules');
+    if (!container) return;
+    container.innerHTML = '';
+    container.style.display = isTeamBalanceEnabled() ? '' : 'none';
+    if (!isTeamBalanceEnabled()) return;
+
+    const rules = loadTeamBalanceRules();
+    const targets = getBalanceTargets();
+
+    rules.forEach((rule, index) => {
+        const row = document.createElement('div');
+        row.className = 'balance-rule';
+
+        const prefix = document.createElement('span');
+        prefix.textContent = t('balance.eachTeam');
+
+        const targetSelect = document.createElement('select');
+        // Keep targets of saved rules even if the class is not in the current data
+        const options = targets.some(target => target.value === rule.target)
+            ? targets
+            : targets.concat([{ value: rule.target, label: rule.target.split(':')[1] }]);
+        options.forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.value;
+            option.textContent = target.label;
+            targetSelect.appendChild(option);
+        });
+        targetSelect.value = rule.target;
+
+        const kindSelect = document.createElement('select');
+        ['max', 'min'].forEach(kind => {
+            const option = document.createElement('option');
+            option.value = kind;
+            option.textContent = t(`balance.kind.${kind}`);
+            kindSelect.appendChild(option);
+        });
+        kindSelect.value = rule.kind;
+
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = '0';
+        countInput.max = '8';
+        countInput.value = rule.count;
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-small';
+        removeButton.textContent = '×';
+        removeButton.title = t('balance.removeRule');
+
+        const update = () => {
+            const current = loadTeamBalanceRules();
+            current[index] = {
+                kind: kindSelect.value,
+                count: Math.max(0, parseInt(countInput.value) || 0),
+                target: targetSelect.value
+            };
+            saveTeamBalanceRules(current);
+        };
+        targetSelect.addEventListener('change', update);
+        kindSelect.addEventListener('change', update);
+        countInput.addEventListener('change', update);
+        removeButton.addEventListener('click', () => {
+            const current = loadTeamBalanceRules();
+            current.splice(index, 1);
+            saveTeamBalanceRules(current);
+            renderTeamBalanceRules();
+        });
+
+        row.appendChild(prefix);
+        row.appendChild(targetSelect);
+        row.appendChild(kindSelect);
+        row.appendChild(countInput);
+        row.appendChild(removeButton);
+        container.appendChild(row);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.className = 'btn btn-small';
+    addButton.textContent = t('balance.addRule');
+    addButton.addEventListener('click', () => {
+        const current = loadTeamBalanceRules();
+        current.push({ kind: 'max', count: 1, target: targets[0].value });
+        saveTeamBalanceRules(current);
+        renderTeamBalanceRules();
+    });
+    container.appendChild(addButton);
+}
+
+// ========== Localization ==========
+
+/**
+ * Translate a message key with optional {placeholder} params
+ * Falls back to Japanese, then to the key itself
+ */
+function t(key, params) {
+    const catalog = MESSAGES[currentLanguage] || {};
+    let message = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LANGUAGE][key];
+    if (message === undefined) return key;
+
+    if (params) {
+        message = message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? String(params[name]) : match
+        );
     }
+    return message;
+}
 
-    // Clear previous team data
-    currentTeams = {};
+/**
+ * Load saved language and initialize the language select
+ */
+function initializeLanguage() {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (saved && LANGUAGES[saved]) {
+        currentLanguage = saved;
+    }
 
-    // Assign alpha team
-    alphaTeam.forEach(memberName => {
-        for (let i = 1; i <= memberCount; i++) {
-            if (memberNames[i] === memberName) {
-                currentTeams[i] = 'alpha';
-                break;
+    const select = document.getElementById('languageSelect');
+    if (select) {
+        select.innerHTML = '';
+        Object.keys(LANGUAGES).forEach(lang => {
+            const option = document.createElement('option');
+            option.value = lang;
+            option.textContent = LANGUAGES[lang].label;
+            select.appendChild(option);
+        });
+        select.value = currentLanguage;
+        select.addEventListener('change', () => setLanguage(select.value));
+    }
+
+    applyTranslations();
+}
+
+/**
+ * Switch UI language and update everything already rendered
+ */
+function setLanguage(lang) {
+    if (!LANGUAGES[lang]) return;
+    currentLanguage = lang;
+    localStorage.setItem(LANGUAGE_KEY, lang);
+
+    applyTranslations();
+    updateMemberLabels();
+    renderFilterLists();
+    updateItemChangeNotice();
+    renderTeamBalanceRules();
+    renderTricolorStages();
+    renderOddsView();
+    updateResultsLanguage();
+    refreshMatchHistoryViews();
+    renderSharedResult();
+    updateDataStatus();
+}
+
+/**
+ * Apply translations to static elements marked with data-i18n attributes
+ * data-i18n sets text, data-i18n-params holds JSON params for it,
+ * data-i18n-placeholder sets the placeholder, data-i18n-title the tooltip
+ */
+function applyTranslations() {
+    document.documentElement.lang = currentLanguage;
+    document.title = t('app.title');
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        let params = null;
+        if (element.dataset.i18nParams) {
+            try {
+                params = JSON.parse(element.dataset.i18nParams);
+            } catch (error) {
+                console.error('Invalid i18n params:', error);
             }
         }
+        element.textContent = t(element.dataset.i18n, params);
     });
 
-    // Assign bravo team
-    bravoTeam.forEach(memberName => {
-        for (let i = 1; i <= memberCount; i++) {
-            if (memberNames[i] === memberName) {
-                currentTeams[i] = 'bravo';
-                break;
-            }
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+
+    document.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
+
+/**
+ * Update member input labels and placeholders
+ */
+function updateMemberLabels() {
+    renderMemberRoster();
+    renderMemberPoolEditor();
+    updateSpectatorList();
+}
+
+
+/**
+ * Re-render displayed results in the current language
+ */
+function updateResultsLanguage() {
+    ['rule', 'stage'].forEach(type => {
+        const item = currentResults[`common-${type}`];
+        const resultElement = document.getElementById(type === 'rule' ? 'commonRule' : 'commonStage');
+        if (item && resultElement) {
+            resultElement.textContent = getItemName(type, item);
         }
     });
+
+    document.querySelectorAll('.result-card').forEach(card => {
+        const memberId = card.dataset.memberId;
+        const nameElement = card.querySelector('h3');
+        if (nameElement) nameElement.textContent = getMemberName(memberId);
+        const label = card.querySelector('.result-label');
+        if (label) label.textContent = t('type.weapon');
+
+        const item = currentResults[getWeaponResultKey(memberId)];
+        const weaponElement = card.querySelector('.result-weapon');
+        if (item && weaponElement) {
+            weaponElement.textContent = getItemName('weapon', item);
+        }
+    });
+
+    updateResultCardsTeamColor();
+    updateBagProgress();
+    updateResultControls();
+
+    const seedElement = document.getElementById('rollSeed');
+    if (seedElement && seedElement.dataset.seed) {
+        const notes = seedElement.dataset.notes;
+        showRollSeed(seedElement.dataset.seed, seedElement.dataset.scope, notes ? notes.split(',') : []);
+    }
 }
 
 // ========== Utility Functions ==========
 
 /**
- * Get Japanese name for type
+ * Get localized name for type
  */
 function getTypeName(type) {
-    const typeNames = {
-        rule: 'ルール',
-        stage: 'ステージ',
-        weapon: 'ブキ'
-    };
-    return typeNames[type] || type;
+    return DATA_TYPES.includes(type) ? t(`type.${type}`) : type;
 }
 
 /**
@@ -1093,3 +6310,107 @@ function updateLoadingStatus(message) {
         statusElement.textContent = message;
     }
 }
+
+/**
+ * Format a date for file names (YYYYMMDD-HHmm)
+ */
+function formatFileTimestamp(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+/**
+ * Let the user download text or a blob as a file
+ */
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Show the overall and per-endpoint data status
+ */
+function updateDataStatus() {
+    const fetchedTimes = DATA_TYPES
+        .filter(type => data[DATA_KEYS[type]].length > 0)
+        .map(type => dataStatus[type].fetchedAt);
+    const hasError = DATA_TYPES.some(type => dataStatus[type].error);
+
+    if (fetchedTimes.length === 0) {
+        updateLoadingStatus(t('status.loadError'));
+    } else if (isUsingFallbackData()) {
+        updateLoadingStatus(t('status.bundled', { version: FALLBACK_DATA.version }));
+    } else if (hasError) {
+        updateLoadingStatus(t('status.partialError'));
+    } else if (Math.min(...fetchedTimes) === 0) {
+        updateLoadingStatus(t('status.lastUpdatedUnknown'));
+    } else {
+        updateLoadingStatus(t('status.lastUpdated', {
+            time: formatDateTime(Math.min(...fetchedTimes)),
+            source: t(DATA_SOURCES[getActiveDataSourceId()].labelKey)
+        }));
+    }
+
+    const statusList = document.getElementById('dataStatus');
+    if (!statusList) return;
+    statusList.innerHTML = '';
+
+    DATA_TYPES.forEach(type => {
+        const status = dataStatus[type];
+        const hasData = data[DATA_KEYS[type]].length > 0;
+        const isFresh = hasData && !status.bundled && !status.error && !isCacheStale(status.fetchedAt);
+
+        let text = `${getTypeName(type)}: `;
+        if (!hasData) {
+            text += t('status.noData');
+        } else if (status.bundled) {
+            text += t('status.bundledEntry', { version: FALLBACK_DATA.version });
+        } else if (isFresh) {
+            text += t('status.fresh', { time: formatDateTime(status.fetchedAt) });
+        } else if (status.fetchedAt) {
+            text += t('status.stale', { time: formatDateTime(status.fetchedAt) });
+        } else {
+            text += t('status.staleUnknown');
+        }
+        if (status.error) {
+            text += t('status.fetchFailed');
+        }
+
+        const item = document.createElement('li');
+        item.className = isFresh ? 'data-status-fresh' : 'data-status-stale';
+        item.textContent = text;
+        item.title = status.error || '';
+        statusList.appendChild(item);
+    });
+
+    // Prominent notice while running on bundled data
+    const notice = document.getElementById('dataNotice');
+    if (notice) {
+        if (isUsingFallbackData()) {
+            notice.textContent = t('status.bundledNotice', { version: FALLBACK_DATA.version });
+            notice.style.display = '';
+        } else {
+            notice.style.display = 'none';
+        }
+    }
+}
+
+/**
+ * Format a timestamp for status display
+ */
+function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString(LANGUAGES[currentLanguage].tag);
+}
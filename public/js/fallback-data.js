@@ -0,0 +1,183 @@
+// Bundled snapshot of the stat.ink v3 master data
+// Used when neither the cache nor the API is available (e.g. first visit while offline).
+// Items use the same shape as the API responses; only the fields the app reads are kept.
+const FALLBACK_DATA = {
+    version: '2026-10-18',
+    rules: [
+        {"key": "nawabari", "name": {"ja_JP": "ナワバリバトル", "en_US": "Turf War"}},
+        {"key": "area", "name": {"ja_JP": "ガチエリア", "en_US": "Splat Zones"}},
+        {"key": "yagura", "name": {"ja_JP": "ガチヤグラ", "en_US": "Tower Control"}},
+        {"key": "hoko", "name": {"ja_JP": "ガチホコバトル", "en_US": "Rainmaker"}},
+        {"key": "asari", "name": {"ja_JP": "ガチアサリ", "en_US": "Clam Blitz"}},
+        {"key": "tricolor", "name": {"ja_JP": "トリカラバトル", "en_US": "Tricolor Turf War"}}
+    ],
+    stages: [
+        {"key": "yunohana", "name": {"ja_JP": "ユノハナ大渓谷", "en_US": "Scorch Gorge"}},
+        {"key": "gonzui", "name": {"ja_JP": "ゴンズイ地区", "en_US": "Eeltail Alley"}},
+        {"key": "yagara", "name": {"ja_JP": "ヤガラ市場", "en_US": "Hagglefish Market"}},
+        {"key": "mategai", "name": {"ja_JP": "マテガイ放水路", "en_US": "Undertow Spillway"}},
+        {"key": "namero", "name": {"ja_JP": "ナメロウ金属", "en_US": "Mincemeat Metalworks"}},
+        {"key": "kinmedai", "name": {"ja_JP": "キンメダイ美術館", "en_US": "Museum d'Alfonsino"}},
+        {"key": "mahimahi", "name": {"ja_JP": "マヒマヒリゾート&スパ", "en_US": "Mahi-Mahi Resort"}},
+        {"key": "amabi", "name": {"ja_JP": "海女美術大学", "en_US": "Inkblot Art Academy"}},
+        {"key": "chozame", "name": {"ja_JP": "チョウザメ造船", "en_US": "Sturgeon Shipyard"}},
+        {"key": "zatou", "name": {"ja_JP": "ザトウマーケット", "en_US": "MakoMart"}},
+        {"key": "sumeshi", "name": {"ja_JP": "スメーシーワールド", "en_US": "Wahoo World"}},
+        {"key": "kusaya", "name": {"ja_JP": "クサヤ温泉", "en_US": "Brinewater Springs"}},
+        {"key": "hirame", "name": {"ja_JP": "ヒラメが丘団地", "en_US": "Flounder Heights"}},
+        {"key": "nampla", "name": {"ja_JP": "ナンプラー遺跡", "en_US": "Um'ami Ruins"}},
+        {"key": "masaba", "name": {"ja_JP": "マサバ海峡大橋", "en_US": "Hammerhead Bridge"}},
+        {"key": "manta", "name": {"ja_JP": "マンタマリア号", "en_US": "Manta Maria"}},
+        {"key": "kombu", "name": {"ja_JP": "コンブトラック", "en_US": "Humpback Pump Track"}},
+        {"key": "taraport", "name": {"ja_JP": "タラポートショッピングパーク", "en_US": "Barnacle & Dime"}},
+        {"key": "takaashi", "name": {"ja_JP": "タカアシ経済特区", "en_US": "Crableg Capital"}},
+        {"key": "ohyo", "name": {"ja_JP": "オヒョウ海運", "en_US": "Shipshape Cargo Co."}},
+        {"key": "negitoro", "name": {"ja_JP": "ネギトロ炭鉱", "en_US": "Bluefin Depot"}},
+        {"key": "baigaitei", "name": {"ja_JP": "バイガイ亭", "en_US": "Robo ROM-en"}},
+        {"key": "kajiki", "name": {"ja_JP": "カジキ空港", "en_US": "Marlin Airport"}},
+        {"key": "ryugu", "name": {"ja_JP": "リュウグウターミナル", "en_US": "Lemuria Hub"}},
+        {"key": "dekaline", "name": {"ja_JP": "デカライン高架下", "en_US": "Urchin Underpass"}},
+        {"key": "grand_arena", "name": {"ja_JP": "グランドバンカラアリーナ", "en_US": "Grand Splatlands Bowl"}}
+    ],
+    weapons: [
+        {"key": "bold", "name": {"ja_JP": "ボールドマーカー", "en_US": "Sploosh-o-matic"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "bold_neo", "name": {"ja_JP": "ボールドマーカーネオ", "en_US": "Neo Sploosh-o-matic"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "megaphone51", "name": {"ja_JP": "メガホンレーザー5.1ch", "en_US": "Killer Wail 5.1"}}},
+        {"key": "wakaba", "name": {"ja_JP": "わかばシューター", "en_US": "Splattershot Jr."}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "greatbarrier", "name": {"ja_JP": "グレートバリア", "en_US": "Big Bubbler"}}},
+        {"key": "momiji", "name": {"ja_JP": "もみじシューター", "en_US": "Custom Splattershot Jr."}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "torpedo", "name": {"ja_JP": "トーピード", "en_US": "Torpedo"}}, "special": {"key": "amefurashi", "name": {"ja_JP": "アメフラシ", "en_US": "Ink Storm"}}},
+        {"key": "sharp", "name": {"ja_JP": "シャープマーカー", "en_US": "Splash-o-matic"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "kanitank", "name": {"ja_JP": "カニタンク", "en_US": "Crab Tank"}}},
+        {"key": "sharp_neo", "name": {"ja_JP": "シャープマーカーネオ", "en_US": "Neo Splash-o-matic"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "quickbomb", "name": {"ja_JP": "クイックボム", "en_US": "Burst Bomb"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "promodeler_mg", "name": {"ja_JP": "プロモデラーMG", "en_US": "Aerospray MG"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "tansanbomb", "name": {"ja_JP": "タンサンボム", "en_US": "Fizzy Bomb"}}, "special": {"key": "sameride", "name": {"ja_JP": "サメライド", "en_US": "Reefslider"}}},
+        {"key": "promodeler_rg", "name": {"ja_JP": "プロモデラーRG", "en_US": "Aerospray RG"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "nicedama", "name": {"ja_JP": "ナイスダマ", "en_US": "Booyah Bomb"}}},
+        {"key": "sshooter", "name": {"ja_JP": "スプラシューター", "en_US": "Splattershot"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "sshooter_collabo", "name": {"ja_JP": "スプラシューターコラボ", "en_US": "Tentatek Splattershot"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "heroshooter_replica", "name": {"ja_JP": "ヒーローシューター レプリカ", "en_US": "Hero Shot Replica"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "ordershooter_replica", "name": {"ja_JP": "オーダーシューター レプリカ", "en_US": "Order Shot Replica"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "52gal", "name": {"ja_JP": ".52ガロン", "en_US": ".52 Gal"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "sameride", "name": {"ja_JP": "サメライド", "en_US": "Reefslider"}}},
+        {"key": "52gal_deco", "name": {"ja_JP": ".52ガロンデコ", "en_US": ".52 Gal Deco"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "teioika", "name": {"ja_JP": "テイオウイカ", "en_US": "Kraken Royale"}}},
+        {"key": "nzap85", "name": {"ja_JP": "N-ZAP85", "en_US": "N-ZAP '85"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "energystand", "name": {"ja_JP": "エナジースタンド", "en_US": "Tacticooler"}}},
+        {"key": "nzap89", "name": {"ja_JP": "N-ZAP89", "en_US": "N-ZAP '89"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "decoy", "name": {"ja_JP": "デコイチラシ", "en_US": "Super Chump"}}},
+        {"key": "prime", "name": {"ja_JP": "プライムシューター", "en_US": "Splattershot Pro"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "linemarker", "name": {"ja_JP": "ラインマーカー", "en_US": "Angle Shooter"}}, "special": {"key": "kanitank", "name": {"ja_JP": "カニタンク", "en_US": "Crab Tank"}}},
+        {"key": "prime_collabo", "name": {"ja_JP": "プライムシューターコラボ", "en_US": "Forge Splattershot Pro"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "nicedama", "name": {"ja_JP": "ナイスダマ", "en_US": "Booyah Bomb"}}},
+        {"key": "96gal", "name": {"ja_JP": ".96ガロン", "en_US": ".96 Gal"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "kyuinki", "name": {"ja_JP": "キューインキ", "en_US": "Ink Vac"}}},
+        {"key": "96gal_deco", "name": {"ja_JP": ".96ガロンデコ", "en_US": ".96 Gal Deco"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "teioika", "name": {"ja_JP": "テイオウイカ", "en_US": "Kraken Royale"}}},
+        {"key": "jetsweeper", "name": {"ja_JP": "ジェットスイーパー", "en_US": "Jet Squelcher"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "linemarker", "name": {"ja_JP": "ラインマーカー", "en_US": "Angle Shooter"}}, "special": {"key": "kyuinki", "name": {"ja_JP": "キューインキ", "en_US": "Ink Vac"}}},
+        {"key": "jetsweeper_custom", "name": {"ja_JP": "ジェットスイーパーカスタム", "en_US": "Custom Jet Squelcher"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "spaceshooter", "name": {"ja_JP": "スペースシューター", "en_US": "Splattershot Nova"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "megaphone51", "name": {"ja_JP": "メガホンレーザー5.1ch", "en_US": "Killer Wail 5.1"}}},
+        {"key": "spaceshooter_collabo", "name": {"ja_JP": "スペースシューターコラボ", "en_US": "Annaki Splattershot Nova"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "jetpack", "name": {"ja_JP": "ジェットパック", "en_US": "Inkjet"}}},
+        {"key": "l3reelgun", "name": {"ja_JP": "L3リールガン", "en_US": "L-3 Nozzlenose"}, "type": {"key": "reelgun", "name": {"ja_JP": "リールガン", "en_US": "Nozzlenose"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "kanitank", "name": {"ja_JP": "カニタンク", "en_US": "Crab Tank"}}},
+        {"key": "l3reelgun_d", "name": {"ja_JP": "L3リールガンD", "en_US": "L-3 Nozzlenose D"}, "type": {"key": "reelgun", "name": {"ja_JP": "リールガン", "en_US": "Nozzlenose"}}, "sub": {"key": "quickbomb", "name": {"ja_JP": "クイックボム", "en_US": "Burst Bomb"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "h3reelgun", "name": {"ja_JP": "H3リールガン", "en_US": "H-3 Nozzlenose"}, "type": {"key": "reelgun", "name": {"ja_JP": "リールガン", "en_US": "Nozzlenose"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "h3reelgun_d", "name": {"ja_JP": "H3リールガンD", "en_US": "H-3 Nozzlenose D"}, "type": {"key": "reelgun", "name": {"ja_JP": "リールガン", "en_US": "Nozzlenose"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "energystand", "name": {"ja_JP": "エナジースタンド", "en_US": "Tacticooler"}}},
+        {"key": "bottlegeyser", "name": {"ja_JP": "ボトルガイザー", "en_US": "Squeezer"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "bottlegeyser_foil", "name": {"ja_JP": "ボトルガイザーフォイル", "en_US": "Foil Squeezer"}, "type": {"key": "shooter", "name": {"ja_JP": "シューター", "en_US": "Shooter"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "nova", "name": {"ja_JP": "ノヴァブラスター", "en_US": "Luna Blaster"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "nova_neo", "name": {"ja_JP": "ノヴァブラスターネオ", "en_US": "Luna Blaster Neo"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "tansanbomb", "name": {"ja_JP": "タンサンボム", "en_US": "Fizzy Bomb"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "hotblaster", "name": {"ja_JP": "ホットブラスター", "en_US": "Blaster"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "greatbarrier", "name": {"ja_JP": "グレートバリア", "en_US": "Big Bubbler"}}},
+        {"key": "hotblaster_custom", "name": {"ja_JP": "ホットブラスターカスタム", "en_US": "Custom Blaster"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "orderblaster_replica", "name": {"ja_JP": "オーダーブラスター レプリカ", "en_US": "Order Blaster Replica"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "greatbarrier", "name": {"ja_JP": "グレートバリア", "en_US": "Big Bubbler"}}},
+        {"key": "longblaster", "name": {"ja_JP": "ロングブラスター", "en_US": "Range Blaster"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "hopsonar", "name": {"ja_JP": "ホップソナー", "en_US": "Wave Breaker"}}},
+        {"key": "clashblaster", "name": {"ja_JP": "クラッシュブラスター", "en_US": "Clash Blaster"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "clashblaster_neo", "name": {"ja_JP": "クラッシュブラスターネオ", "en_US": "Clash Blaster Neo"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "decoy", "name": {"ja_JP": "デコイチラシ", "en_US": "Super Chump"}}},
+        {"key": "rapid", "name": {"ja_JP": "ラピッドブラスター", "en_US": "Rapid Blaster"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "rapid_deco", "name": {"ja_JP": "ラピッドブラスターデコ", "en_US": "Rapid Blaster Deco"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "torpedo", "name": {"ja_JP": "トーピード", "en_US": "Torpedo"}}, "special": {"key": "jetpack", "name": {"ja_JP": "ジェットパック", "en_US": "Inkjet"}}},
+        {"key": "rapid_elite", "name": {"ja_JP": "Rブラスターエリート", "en_US": "Rapid Blaster Pro"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "amefurashi", "name": {"ja_JP": "アメフラシ", "en_US": "Ink Storm"}}},
+        {"key": "rapid_elite_deco", "name": {"ja_JP": "Rブラスターエリートデコ", "en_US": "Rapid Blaster Pro Deco"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "linemarker", "name": {"ja_JP": "ラインマーカー", "en_US": "Angle Shooter"}}, "special": {"key": "suminagasheet", "name": {"ja_JP": "スミナガシート", "en_US": "Splattercolor Screen"}}},
+        {"key": "sblast92", "name": {"ja_JP": "S-BLAST92", "en_US": "S-BLAST '92"}, "type": {"key": "blaster", "name": {"ja_JP": "ブラスター", "en_US": "Blaster"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "carbon", "name": {"ja_JP": "カーボンローラー", "en_US": "Carbon Roller"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "carbon_deco", "name": {"ja_JP": "カーボンローラーデコ", "en_US": "Carbon Roller Deco"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "quickbomb", "name": {"ja_JP": "クイックボム", "en_US": "Burst Bomb"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "splatroller", "name": {"ja_JP": "スプラローラー", "en_US": "Splat Roller"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "greatbarrier", "name": {"ja_JP": "グレートバリア", "en_US": "Big Bubbler"}}},
+        {"key": "splatroller_collabo", "name": {"ja_JP": "スプラローラーコラボ", "en_US": "Krak-On Splat Roller"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "teioika", "name": {"ja_JP": "テイオウイカ", "en_US": "Kraken Royale"}}},
+        {"key": "orderroller_replica", "name": {"ja_JP": "オーダーローラー レプリカ", "en_US": "Order Roller Replica"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "greatbarrier", "name": {"ja_JP": "グレートバリア", "en_US": "Big Bubbler"}}},
+        {"key": "dynamo", "name": {"ja_JP": "ダイナモローラー", "en_US": "Dynamo Roller"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "energystand", "name": {"ja_JP": "エナジースタンド", "en_US": "Tacticooler"}}},
+        {"key": "dynamo_tesla", "name": {"ja_JP": "ダイナモローラーテスラ", "en_US": "Gold Dynamo Roller"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "decoy", "name": {"ja_JP": "デコイチラシ", "en_US": "Super Chump"}}},
+        {"key": "variableroller", "name": {"ja_JP": "ヴァリアブルローラー", "en_US": "Flingza Roller"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "tansanbomb", "name": {"ja_JP": "タンサンボム", "en_US": "Fizzy Bomb"}}, "special": {"key": "multimissile", "name": {"ja_JP": "マルチミサイル", "en_US": "Tenta Missiles"}}},
+        {"key": "variableroller_foil", "name": {"ja_JP": "ヴァリアブルローラーフォイル", "en_US": "Foil Flingza Roller"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "suminagasheet", "name": {"ja_JP": "スミナガシート", "en_US": "Splattercolor Screen"}}},
+        {"key": "wideroller", "name": {"ja_JP": "ワイドローラー", "en_US": "Big Swig Roller"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "hopsonar", "name": {"ja_JP": "ホップソナー", "en_US": "Wave Breaker"}}},
+        {"key": "wideroller_collabo", "name": {"ja_JP": "ワイドローラーコラボ", "en_US": "Big Swig Roller Express"}, "type": {"key": "roller", "name": {"ja_JP": "ローラー", "en_US": "Roller"}}, "sub": {"key": "linemarker", "name": {"ja_JP": "ラインマーカー", "en_US": "Angle Shooter"}}, "special": {"key": "amefurashi", "name": {"ja_JP": "アメフラシ", "en_US": "Ink Storm"}}},
+        {"key": "pablo", "name": {"ja_JP": "パブロ", "en_US": "Inkbrush"}, "type": {"key": "brush", "name": {"ja_JP": "フデ", "en_US": "Brush"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "megaphone51", "name": {"ja_JP": "メガホンレーザー5.1ch", "en_US": "Killer Wail 5.1"}}},
+        {"key": "pablo_hue", "name": {"ja_JP": "パブロ・ヒュー", "en_US": "Inkbrush Nouveau"}, "type": {"key": "brush", "name": {"ja_JP": "フデ", "en_US": "Brush"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "hokusai", "name": {"ja_JP": "ホクサイ", "en_US": "Octobrush"}, "type": {"key": "brush", "name": {"ja_JP": "フデ", "en_US": "Brush"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "hokusai_hue", "name": {"ja_JP": "ホクサイ・ヒュー", "en_US": "Octobrush Nouveau"}, "type": {"key": "brush", "name": {"ja_JP": "フデ", "en_US": "Brush"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "orderbrush_replica", "name": {"ja_JP": "オーダーブラシ レプリカ", "en_US": "Order Brush Replica"}, "type": {"key": "brush", "name": {"ja_JP": "フデ", "en_US": "Brush"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "fincent", "name": {"ja_JP": "フィンセント", "en_US": "Painbrush"}, "type": {"key": "brush", "name": {"ja_JP": "フデ", "en_US": "Brush"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "hopsonar", "name": {"ja_JP": "ホップソナー", "en_US": "Wave Breaker"}}},
+        {"key": "fincent_hue", "name": {"ja_JP": "フィンセント・ヒュー", "en_US": "Painbrush Nouveau"}, "type": {"key": "brush", "name": {"ja_JP": "フデ", "en_US": "Brush"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "suminagasheet", "name": {"ja_JP": "スミナガシート", "en_US": "Splattercolor Screen"}}},
+        {"key": "squiclean_a", "name": {"ja_JP": "スクイックリンα", "en_US": "Classic Squiffer"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "greatbarrier", "name": {"ja_JP": "グレートバリア", "en_US": "Big Bubbler"}}},
+        {"key": "squiclean_b", "name": {"ja_JP": "スクイックリンβ", "en_US": "New Squiffer"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "decoy", "name": {"ja_JP": "デコイチラシ", "en_US": "Super Chump"}}},
+        {"key": "splatcharger", "name": {"ja_JP": "スプラチャージャー", "en_US": "Splat Charger"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "kyuinki", "name": {"ja_JP": "キューインキ", "en_US": "Ink Vac"}}},
+        {"key": "splatcharger_collabo", "name": {"ja_JP": "スプラチャージャーコラボ", "en_US": "Z+F Splat Charger"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "splatscope", "name": {"ja_JP": "スプラスコープ", "en_US": "Splatterscope"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "kyuinki", "name": {"ja_JP": "キューインキ", "en_US": "Ink Vac"}}},
+        {"key": "splatscope_collabo", "name": {"ja_JP": "スプラスコープコラボ", "en_US": "Z+F Splatterscope"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "ordercharger_replica", "name": {"ja_JP": "オーダーチャージャー レプリカ", "en_US": "Order Charger Replica"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "kyuinki", "name": {"ja_JP": "キューインキ", "en_US": "Ink Vac"}}},
+        {"key": "liter4k", "name": {"ja_JP": "リッター4K", "en_US": "E-liter 4K"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "hopsonar", "name": {"ja_JP": "ホップソナー", "en_US": "Wave Breaker"}}},
+        {"key": "liter4k_custom", "name": {"ja_JP": "リッター4Kカスタム", "en_US": "Custom E-liter 4K"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "teioika", "name": {"ja_JP": "テイオウイカ", "en_US": "Kraken Royale"}}},
+        {"key": "liter4k_scope", "name": {"ja_JP": "4Kスコープ", "en_US": "E-liter 4K Scope"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "hopsonar", "name": {"ja_JP": "ホップソナー", "en_US": "Wave Breaker"}}},
+        {"key": "liter4k_scope_custom", "name": {"ja_JP": "4Kスコープカスタム", "en_US": "Custom E-liter 4K Scope"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "teioika", "name": {"ja_JP": "テイオウイカ", "en_US": "Kraken Royale"}}},
+        {"key": "bamboo14mk1", "name": {"ja_JP": "14式竹筒銃・甲", "en_US": "Bamboozler 14 Mk I"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "megaphone51", "name": {"ja_JP": "メガホンレーザー5.1ch", "en_US": "Killer Wail 5.1"}}},
+        {"key": "bamboo14mk2", "name": {"ja_JP": "14式竹筒銃・乙", "en_US": "Bamboozler 14 Mk II"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "soytuber", "name": {"ja_JP": "ソイチューバー", "en_US": "Goo Tuber"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "torpedo", "name": {"ja_JP": "トーピード", "en_US": "Torpedo"}}, "special": {"key": "multimissile", "name": {"ja_JP": "マルチミサイル", "en_US": "Tenta Missiles"}}},
+        {"key": "soytuber_custom", "name": {"ja_JP": "ソイチューバーカスタム", "en_US": "Custom Goo Tuber"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "tansanbomb", "name": {"ja_JP": "タンサンボム", "en_US": "Fizzy Bomb"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "rpen_5h", "name": {"ja_JP": "R-PEN/5H", "en_US": "Snipewriter 5H"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "energystand", "name": {"ja_JP": "エナジースタンド", "en_US": "Tacticooler"}}},
+        {"key": "rpen_5b", "name": {"ja_JP": "R-PEN/5B", "en_US": "Snipewriter 5B"}, "type": {"key": "charger", "name": {"ja_JP": "チャージャー", "en_US": "Charger"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "amefurashi", "name": {"ja_JP": "アメフラシ", "en_US": "Ink Storm"}}},
+        {"key": "bucketslosher", "name": {"ja_JP": "バケットスロッシャー", "en_US": "Slosher"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "bucketslosher_deco", "name": {"ja_JP": "バケットスロッシャーデコ", "en_US": "Slosher Deco"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "linemarker", "name": {"ja_JP": "ラインマーカー", "en_US": "Angle Shooter"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "orderslosher_replica", "name": {"ja_JP": "オーダースロッシャー レプリカ", "en_US": "Order Slosher Replica"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "hissen", "name": {"ja_JP": "ヒッセン", "en_US": "Tri-Slosher"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "quickbomb", "name": {"ja_JP": "クイックボム", "en_US": "Burst Bomb"}}, "special": {"key": "jetpack", "name": {"ja_JP": "ジェットパック", "en_US": "Inkjet"}}},
+        {"key": "hissen_hue", "name": {"ja_JP": "ヒッセン・ヒュー", "en_US": "Tri-Slosher Nouveau"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "energystand", "name": {"ja_JP": "エナジースタンド", "en_US": "Tacticooler"}}},
+        {"key": "screwslosher", "name": {"ja_JP": "スクリュースロッシャー", "en_US": "Sloshing Machine"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "tansanbomb", "name": {"ja_JP": "タンサンボム", "en_US": "Fizzy Bomb"}}, "special": {"key": "nicedama", "name": {"ja_JP": "ナイスダマ", "en_US": "Booyah Bomb"}}},
+        {"key": "screwslosher_neo", "name": {"ja_JP": "スクリュースロッシャーネオ", "en_US": "Sloshing Machine Neo"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "furo", "name": {"ja_JP": "オーバーフロッシャー", "en_US": "Bloblobber"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "amefurashi", "name": {"ja_JP": "アメフラシ", "en_US": "Ink Storm"}}},
+        {"key": "furo_deco", "name": {"ja_JP": "オーバーフロッシャーデコ", "en_US": "Bloblobber Deco"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "linemarker", "name": {"ja_JP": "ラインマーカー", "en_US": "Angle Shooter"}}, "special": {"key": "sameride", "name": {"ja_JP": "サメライド", "en_US": "Reefslider"}}},
+        {"key": "explosher", "name": {"ja_JP": "エクスプロッシャー", "en_US": "Explosher"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "multimissile", "name": {"ja_JP": "マルチミサイル", "en_US": "Tenta Missiles"}}},
+        {"key": "explosher_custom", "name": {"ja_JP": "エクスプロッシャーカスタム", "en_US": "Custom Explosher"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "moprin", "name": {"ja_JP": "モップリン", "en_US": "Dread Wringer"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "sameride", "name": {"ja_JP": "サメライド", "en_US": "Reefslider"}}},
+        {"key": "moprin_d", "name": {"ja_JP": "モップリンD", "en_US": "Dread Wringer D"}, "type": {"key": "slosher", "name": {"ja_JP": "スロッシャー", "en_US": "Slosher"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "kanitank", "name": {"ja_JP": "カニタンク", "en_US": "Crab Tank"}}},
+        {"key": "splatspinner", "name": {"ja_JP": "スプラスピナー", "en_US": "Mini Splatling"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "splatspinner_collabo", "name": {"ja_JP": "スプラスピナーコラボ", "en_US": "Zink Mini Splatling"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "greatbarrier", "name": {"ja_JP": "グレートバリア", "en_US": "Big Bubbler"}}},
+        {"key": "barrelspinner", "name": {"ja_JP": "バレルスピナー", "en_US": "Heavy Splatling"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "hopsonar", "name": {"ja_JP": "ホップソナー", "en_US": "Wave Breaker"}}},
+        {"key": "barrelspinner_deco", "name": {"ja_JP": "バレルスピナーデコ", "en_US": "Heavy Splatling Deco"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "teioika", "name": {"ja_JP": "テイオウイカ", "en_US": "Kraken Royale"}}},
+        {"key": "orderspinner_replica", "name": {"ja_JP": "オーダースピナー レプリカ", "en_US": "Order Splatling Replica"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "hopsonar", "name": {"ja_JP": "ホップソナー", "en_US": "Wave Breaker"}}},
+        {"key": "hydra", "name": {"ja_JP": "ハイドラント", "en_US": "Hydra Splatling"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "nicedama", "name": {"ja_JP": "ナイスダマ", "en_US": "Booyah Bomb"}}},
+        {"key": "hydra_custom", "name": {"ja_JP": "ハイドラントカスタム", "en_US": "Custom Hydra Splatling"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "kugelschreiber", "name": {"ja_JP": "クーゲルシュライバー", "en_US": "Ballpoint Splatling"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "tansanbomb", "name": {"ja_JP": "タンサンボム", "en_US": "Fizzy Bomb"}}, "special": {"key": "jetpack", "name": {"ja_JP": "ジェットパック", "en_US": "Inkjet"}}},
+        {"key": "kugelschreiber_hue", "name": {"ja_JP": "クーゲルシュライバー・ヒュー", "en_US": "Ballpoint Splatling Nouveau"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "kanitank", "name": {"ja_JP": "カニタンク", "en_US": "Crab Tank"}}},
+        {"key": "nautilus47", "name": {"ja_JP": "ノーチラス47", "en_US": "Nautilus 47"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "amefurashi", "name": {"ja_JP": "アメフラシ", "en_US": "Ink Storm"}}},
+        {"key": "nautilus79", "name": {"ja_JP": "ノーチラス79", "en_US": "Nautilus 79"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "examiner", "name": {"ja_JP": "イグザミナー", "en_US": "Heavy Edit Splatling"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "energystand", "name": {"ja_JP": "エナジースタンド", "en_US": "Tacticooler"}}},
+        {"key": "examiner_hue", "name": {"ja_JP": "イグザミナー・ヒュー", "en_US": "Heavy Edit Splatling Nouveau"}, "type": {"key": "spinner", "name": {"ja_JP": "スピナー", "en_US": "Splatling"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "spatterley", "name": {"ja_JP": "スパッタリー", "en_US": "Dapple Dualies"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "sameride", "name": {"ja_JP": "サメライド", "en_US": "Reefslider"}}},
+        {"key": "spatterley_hue", "name": {"ja_JP": "スパッタリー・ヒュー", "en_US": "Dapple Dualies Nouveau"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "energystand", "name": {"ja_JP": "エナジースタンド", "en_US": "Tacticooler"}}},
+        {"key": "maneuver", "name": {"ja_JP": "スプラマニューバー", "en_US": "Splat Dualies"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "kanitank", "name": {"ja_JP": "カニタンク", "en_US": "Crab Tank"}}},
+        {"key": "ordermaneuver_replica", "name": {"ja_JP": "オーダーマニューバー レプリカ", "en_US": "Order Dualie Replica"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "kanitank", "name": {"ja_JP": "カニタンク", "en_US": "Crab Tank"}}},
+        {"key": "kelvin525", "name": {"ja_JP": "ケルビン525", "en_US": "Glooga Dualies"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "kelvin525_deco", "name": {"ja_JP": "ケルビン525デコ", "en_US": "Glooga Dualies Deco"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "pointsensor", "name": {"ja_JP": "ポイントセンサー", "en_US": "Point Sensor"}}, "special": {"key": "decoy", "name": {"ja_JP": "デコイチラシ", "en_US": "Super Chump"}}},
+        {"key": "dualsweeper", "name": {"ja_JP": "デュアルスイーパー", "en_US": "Dualie Squelchers"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "hopsonar", "name": {"ja_JP": "ホップソナー", "en_US": "Wave Breaker"}}},
+        {"key": "dualsweeper_custom", "name": {"ja_JP": "デュアルスイーパーカスタム", "en_US": "Custom Dualie Squelchers"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "decoy", "name": {"ja_JP": "デコイチラシ", "en_US": "Super Chump"}}},
+        {"key": "quadhopper_black", "name": {"ja_JP": "クアッドホッパーブラック", "en_US": "Dark Tetra Dualies"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "sameride", "name": {"ja_JP": "サメライド", "en_US": "Reefslider"}}},
+        {"key": "quadhopper_white", "name": {"ja_JP": "クアッドホッパーホワイト", "en_US": "Light Tetra Dualies"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "gaen_ff", "name": {"ja_JP": "ガエンFF", "en_US": "Douser Dualies FF"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "nicedama", "name": {"ja_JP": "ナイスダマ", "en_US": "Booyah Bomb"}}},
+        {"key": "gaen_ff_custom", "name": {"ja_JP": "ガエンFFカスタム", "en_US": "Custom Douser Dualies FF"}, "type": {"key": "maneuver", "name": {"ja_JP": "マニューバー", "en_US": "Dualies"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "parashelter", "name": {"ja_JP": "パラシェルター", "en_US": "Splat Brella"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "parashelter_sorella", "name": {"ja_JP": "パラシェルターソレーラ", "en_US": "Sorella Brella"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "ordershelter_replica", "name": {"ja_JP": "オーダーシェルター レプリカ", "en_US": "Order Brella Replica"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "sprinkler", "name": {"ja_JP": "スプリンクラー", "en_US": "Sprinkler"}}, "special": {"key": "tripletornado", "name": {"ja_JP": "トリプルトルネード", "en_US": "Triple Inkstrike"}}},
+        {"key": "campingshelter", "name": {"ja_JP": "キャンピングシェルター", "en_US": "Tenta Brella"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "kyuinki", "name": {"ja_JP": "キューインキ", "en_US": "Ink Vac"}}},
+        {"key": "campingshelter_sorella", "name": {"ja_JP": "キャンピングシェルターソレーラ", "en_US": "Tenta Sorella Brella"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "spygadget", "name": {"ja_JP": "スパイガジェット", "en_US": "Undercover Brella"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "trap", "name": {"ja_JP": "トラップ", "en_US": "Ink Mine"}}, "special": {"key": "sameride", "name": {"ja_JP": "サメライド", "en_US": "Reefslider"}}},
+        {"key": "spygadget_sorella", "name": {"ja_JP": "スパイガジェットソレーラ", "en_US": "Undercover Sorella Brella"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "torpedo", "name": {"ja_JP": "トーピード", "en_US": "Torpedo"}}, "special": {"key": "decoy", "name": {"ja_JP": "デコイチラシ", "en_US": "Super Chump"}}},
+        {"key": "brella24mk1", "name": {"ja_JP": "24式張替傘・甲", "en_US": "Recycled Brella 24 Mk I"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "linemarker", "name": {"ja_JP": "ラインマーカー", "en_US": "Angle Shooter"}}, "special": {"key": "greatbarrier", "name": {"ja_JP": "グレートバリア", "en_US": "Big Bubbler"}}},
+        {"key": "brella24mk2", "name": {"ja_JP": "24式張替傘・乙", "en_US": "Recycled Brella 24 Mk II"}, "type": {"key": "brella", "name": {"ja_JP": "シェルター", "en_US": "Brella"}}, "sub": {"key": "torpedo", "name": {"ja_JP": "トーピード", "en_US": "Torpedo"}}, "special": {"key": "megaphone51", "name": {"ja_JP": "メガホンレーザー5.1ch", "en_US": "Killer Wail 5.1"}}},
+        {"key": "tristringer", "name": {"ja_JP": "トライストリンガー", "en_US": "Tri-Stringer"}, "type": {"key": "stringer", "name": {"ja_JP": "ストリンガー", "en_US": "Stringer"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "megaphone51", "name": {"ja_JP": "メガホンレーザー5.1ch", "en_US": "Killer Wail 5.1"}}},
+        {"key": "tristringer_collabo", "name": {"ja_JP": "トライストリンガーコラボ", "en_US": "Inkline Tri-Stringer"}, "type": {"key": "stringer", "name": {"ja_JP": "ストリンガー", "en_US": "Stringer"}}, "sub": {"key": "splashshield", "name": {"ja_JP": "スプラッシュシールド", "en_US": "Splash Wall"}}, "special": {"key": "decoy", "name": {"ja_JP": "デコイチラシ", "en_US": "Super Chump"}}},
+        {"key": "orderstringer_replica", "name": {"ja_JP": "オーダーストリンガー レプリカ", "en_US": "Order Stringer Replica"}, "type": {"key": "stringer", "name": {"ja_JP": "ストリンガー", "en_US": "Stringer"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "megaphone51", "name": {"ja_JP": "メガホンレーザー5.1ch", "en_US": "Killer Wail 5.1"}}},
+        {"key": "lact450", "name": {"ja_JP": "LACT-450", "en_US": "REEF-LUX 450"}, "type": {"key": "stringer", "name": {"ja_JP": "ストリンガー", "en_US": "Stringer"}}, "sub": {"key": "curlingbomb", "name": {"ja_JP": "カーリングボム", "en_US": "Curling Bomb"}}, "special": {"key": "multimissile", "name": {"ja_JP": "マルチミサイル", "en_US": "Tenta Missiles"}}},
+        {"key": "lact450_deco", "name": {"ja_JP": "LACT-450デコ", "en_US": "REEF-LUX 450 Deco"}, "type": {"key": "stringer", "name": {"ja_JP": "ストリンガー", "en_US": "Stringer"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "sameride", "name": {"ja_JP": "サメライド", "en_US": "Reefslider"}}},
+        {"key": "fluidv", "name": {"ja_JP": "フルイドV", "en_US": "Wellstring V"}, "type": {"key": "stringer", "name": {"ja_JP": "ストリンガー", "en_US": "Stringer"}}, "sub": {"key": "robotbomb", "name": {"ja_JP": "ロボットボム", "en_US": "Autobomb"}}, "special": {"key": "ultra_chakuchi", "name": {"ja_JP": "ウルトラチャクチ", "en_US": "Triple Splashdown"}}},
+        {"key": "fluidv_custom", "name": {"ja_JP": "フルイドVカスタム", "en_US": "Custom Wellstring V"}, "type": {"key": "stringer", "name": {"ja_JP": "ストリンガー", "en_US": "Stringer"}}, "sub": {"key": "tansanbomb", "name": {"ja_JP": "タンサンボム", "en_US": "Fizzy Bomb"}}, "special": {"key": "kyuinki", "name": {"ja_JP": "キューインキ", "en_US": "Ink Vac"}}},
+        {"key": "drivewiper", "name": {"ja_JP": "ドライブワイパー", "en_US": "Splatana Wiper"}, "type": {"key": "wiper", "name": {"ja_JP": "ワイパー", "en_US": "Splatana"}}, "sub": {"key": "torpedo", "name": {"ja_JP": "トーピード", "en_US": "Torpedo"}}, "special": {"key": "ultrahanko", "name": {"ja_JP": "ウルトラハンコ", "en_US": "Ultra Stamp"}}},
+        {"key": "drivewiper_deco", "name": {"ja_JP": "ドライブワイパーデコ", "en_US": "Splatana Wiper Deco"}, "type": {"key": "wiper", "name": {"ja_JP": "ワイパー", "en_US": "Splatana"}}, "sub": {"key": "jumpbeacon", "name": {"ja_JP": "ジャンプビーコン", "en_US": "Squid Beakon"}}, "special": {"key": "megaphone51", "name": {"ja_JP": "メガホンレーザー5.1ch", "en_US": "Killer Wail 5.1"}}},
+        {"key": "jimuwiper", "name": {"ja_JP": "ジムワイパー", "en_US": "Splatana Stamper"}, "type": {"key": "wiper", "name": {"ja_JP": "ワイパー", "en_US": "Splatana"}}, "sub": {"key": "quickbomb", "name": {"ja_JP": "クイックボム", "en_US": "Burst Bomb"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "jimuwiper_hue", "name": {"ja_JP": "ジムワイパー・ヒュー", "en_US": "Splatana Stamper Nouveau"}, "type": {"key": "wiper", "name": {"ja_JP": "ワイパー", "en_US": "Splatana"}}, "sub": {"key": "poisonmist", "name": {"ja_JP": "ポイズンミスト", "en_US": "Toxic Mist"}}, "special": {"key": "kanitank", "name": {"ja_JP": "カニタンク", "en_US": "Crab Tank"}}},
+        {"key": "orderwiper_replica", "name": {"ja_JP": "オーダーワイパー レプリカ", "en_US": "Order Splatana Replica"}, "type": {"key": "wiper", "name": {"ja_JP": "ワイパー", "en_US": "Splatana"}}, "sub": {"key": "quickbomb", "name": {"ja_JP": "クイックボム", "en_US": "Burst Bomb"}}, "special": {"key": "shokuwander", "name": {"ja_JP": "ショクワンダー", "en_US": "Zipcaster"}}},
+        {"key": "dentalwiper_mint", "name": {"ja_JP": "デンタルワイパーミント", "en_US": "Mint Decavitator"}, "type": {"key": "wiper", "name": {"ja_JP": "ワイパー", "en_US": "Splatana"}}, "sub": {"key": "kyubanbomb", "name": {"ja_JP": "キューバンボム", "en_US": "Suction Bomb"}}, "special": {"key": "ultrashot", "name": {"ja_JP": "ウルトラショット", "en_US": "Trizooka"}}},
+        {"key": "dentalwiper_sumi", "name": {"ja_JP": "デンタルワイパースミ", "en_US": "Charcoal Decavitator"}, "type": {"key": "wiper", "name": {"ja_JP": "ワイパー", "en_US": "Splatana"}}, "sub": {"key": "splashbomb", "name": {"ja_JP": "スプラッシュボム", "en_US": "Splat Bomb"}}, "special": {"key": "teioika", "name": {"ja_JP": "テイオウイカ", "en_US": "Kraken Royale"}}}
+    ]
+};
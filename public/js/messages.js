@@ -0,0 +1,464 @@
+// UI translation catalogs
+// Keys missing from a catalog fall back to Japanese. Placeholders use {name}.
+const MESSAGES = {
+    ja: {
+        'app.title': 'スプラトゥーン3 ルーレット',
+        'common.apply': '反映',
+        'common.selectAll': '全て',
+        'type.rule': 'ルール',
+        'type.stage': 'ステージ',
+        'type.weapon': 'ブキ',
+
+        'member.title': 'メンバー設定',
+        'member.count': 'プレイヤー数:',
+        'member.countOption': '{n}人',
+        'member.defaultName': 'メンバー{n}',
+        'member.attending': '今日参加',
+        'member.add': '+ メンバーを追加',
+        'member.remove': 'メンバーを削除',
+        'member.countWithSpectators': '{n}人 (毎回{spectators}人が観戦)',
+        'member.playersPerRound': 'プレイヤー枠:',
+        'lobby.spectators': '観戦: {names}',
+        'member.rating': 'レート (任意)',
+        'member.ratingHint': 'Xパワーやスキルレベルなどの数値。レートでチームを均等にするときに使います',
+        'team.division': 'チーム分け',
+        'team.ratingBalance': 'レートでチームを均等にする',
+        'team.ratingTolerance': '許容するレート差:',
+        'team.count': 'チーム数:',
+        'team.countOption': '{n}チーム',
+        'team.tricolorNote': '※トリカラバトルでは、チーム分けがオフでも自動で3チームに分けます',
+        'rating.summary': '{team}: 合計 {total} (平均 {average})',
+        'constraints.title': 'チーム分けの条件',
+        'constraints.and': 'と',
+        'constraints.type.together': 'を同じチームにする',
+        'constraints.type.apart': 'を別のチームにする',
+        'constraints.add': '+ 条件を追加',
+        'constraints.remove': '条件を削除',
+        'constraints.sameMember': '同じメンバーが選ばれています (無視されます)',
+        'constraints.notPlaying': '参加しない、または観戦中のメンバーがいるため今回は無視されます',
+        'constraints.unsatisfiable': 'チーム分けの条件をすべて満たす分け方がありません。条件を見直してください。',
+        'memberPool.summary.global': 'ブキ: 全体の設定',
+        'memberPool.summary.narrow': 'ブキ: 絞り込み ({count}種)',
+        'memberPool.summary.override': 'ブキ: 個別指定 ({count}種)',
+        'memberPool.title': '{name} のブキ',
+        'memberPool.mode.global': 'ルーレット設定のブキを使う',
+        'memberPool.mode.narrow': 'ルーレット設定のブキからさらに絞り込む',
+        'memberPool.mode.override': 'このメンバーだけ個別に指定する',
+        'memberPool.selectAll': 'すべて選択',
+        'memberPool.deselectAll': 'すべて解除',
+        'memberPool.close': '閉じる',
+        'memberPool.emptyFallback': '{name} のブキ設定に該当するブキがないため、ルーレット設定のブキを使用しました',
+        'team.alpha': 'アルファグループ',
+        'team.bravo': 'ブラボーグループ',
+        'team.charlie': 'チャーリーグループ',
+        'team.delta': 'デルタグループ',
+        'team.numbered': 'チーム{n}',
+        'tricolor.noStages': 'トリカラバトルのステージが見つからないため、選択中のステージから選びました',
+        'history.title': '対戦履歴',
+        'history.clear': '履歴をすべて削除',
+        'history.confirmClear': '対戦履歴をすべて削除しますか？',
+        'history.more': 'もっと見る',
+        'history.count': '{count}件 (最大{max}件まで保存)',
+        'history.empty': 'まだ履歴はありません。「すべてルーレット」を実行すると記録されます。',
+        'history.recordWinner': '勝敗を記録:',
+        'history.won': '{team}の勝ち',
+        'history.noResult': '勝敗未記録',
+        'history.delete': 'この履歴を削除',
+        'history.edit': 'ルール・ステージ・チーム・ブキを編集',
+        'history.doneEditing': '完了',
+        'history.noTeam': 'チームなし',
+        'share.button': '🔗 結果を共有',
+        'share.copied': 'リンクをコピーしました',
+        'share.copyManually': 'リンクをコピーして共有してください',
+        'share.noResults': '共有する結果がありません',
+        'share.invalid': '共有リンクの形式が正しくありません',
+        'share.title': '共有された結果',
+        'share.seed': 'シード: {seed}',
+        'share.close': '自分のルーレットを開く',
+        'image.download': '🖼 画像を保存',
+        'image.copy': '📋 画像をコピー',
+        'image.includeSeed': 'シードを入れる',
+        'image.includeTimestamp': '日時を入れる',
+        'image.copied': '画像をコピーしました',
+        'image.copyUnsupported': 'このブラウザは画像のコピーに対応していません。「画像を保存」を使ってください',
+        'image.copyFailed': '画像をコピーできませんでした',
+        'image.createFailed': '画像を作成できませんでした',
+        'historyExport.csv': 'CSVで書き出す',
+        'historyExport.json': 'JSONで書き出す',
+        'historyExport.empty': '書き出す履歴がありません',
+        'historyImport.button': 'JSONを読み込む',
+        'historyImport.notHistory': '対戦履歴のJSONではありません',
+        'historyImport.invalidEntry': '{n}件目の履歴の形式が正しくありません',
+        'historyImport.failed': '履歴の読み込みに失敗しました: {message}',
+        'historyImport.done': '{added}件を追加、{updated}件の勝敗を補完しました ({skipped}件は登録済み)',
+        'historyImport.mappedMembers': '{count}人のメンバーを名前でこの端末のメンバーと対応付けました',
+        'historyImport.trimmed': '保存できるのは最大{max}件のため、古い{count}件は保存されませんでした',
+        'stats.title': '統計',
+        'stats.view': '表示:',
+        'stats.view.member': 'メンバーの勝率',
+        'stats.view.weapon': 'ブキの勝率',
+        'stats.view.rule': 'ルールごとの勝率',
+        'stats.view.stage': 'ステージごとの勝率',
+        'stats.view.frequencyRule': 'ルールの出現回数',
+        'stats.view.frequencyStage': 'ステージの出現回数',
+        'stats.view.frequencyWeapon': 'ブキの出現回数',
+        'stats.member': 'メンバー',
+        'stats.allMembers': '全員',
+        'stats.games': '試合数',
+        'stats.wins': '勝ち',
+        'stats.losses': '負け',
+        'stats.winRate': '勝率',
+        'stats.actual': '出現回数',
+        'stats.actualShare': '出現率',
+        'stats.expectedShare': '期待値',
+        'stats.difference': '差',
+        'stats.empty': 'データがありません',
+        'stats.decidedNote': '勝敗を記録した{count}試合から集計しています',
+        'stats.frequencyNote': '履歴の{count}件の結果を、現在のフィルター・重み・メンバーごとのブキで期待される出現率と比べています',
+
+        'filter.title': 'ルーレット設定',
+        'filter.basic': '基本設定',
+        'filter.groupBy': '分類:',
+        'filter.groupBy.type': 'ブキ種別',
+        'filter.groupBy.sub': 'サブウェポン',
+        'filter.groupBy.special': 'スペシャルウェポン',
+        'filter.group.other': 'その他',
+        'filter.search': '検索 (かな・ローマ字・英語)',
+        'filter.selectMatching': '一致を選択',
+        'filter.deselectMatching': '一致を解除',
+        'filter.newItemPolicy': '新しく追加された項目:',
+        'filter.newItemPolicy.include': '選択に含める',
+        'filter.newItemPolicy.exclude': '選択しない',
+
+        'options.title': 'オプション',
+        'options.duplicate': 'ブキの重複:',
+        'options.duplicate.none': '重複あり',
+        'options.duplicate.lobby': '全員で重複なし',
+        'options.duplicate.team': 'チーム内で重複なし',
+        'options.teamBalance': 'チームのブキ編成をそろえる (チーム分け時)',
+        'options.weights': 'ブキ・ステージ・ルールごとの重み付け (フィルター一覧で設定)',
+        'options.antiRepeat': '直近の結果:',
+        'options.antiRepeat.off': '考慮しない',
+        'options.antiRepeat.soft': '出にくくする',
+        'options.antiRepeat.strict': '出さない',
+        'options.antiRepeatCount': '直近',
+        'options.antiRepeatCountSuffix': '回分',
+        'options.resetRecent': '履歴をリセット',
+        'options.showOdds': '確率を表示',
+        'options.tricolorStages': 'トリカラバトルのステージ',
+
+        'options.bagMode': 'バッグモード (メンバーごとに、選択中のブキをすべて一巡するまで同じブキを出さない)',
+
+        'weights.title': '出やすさ',
+        'odds.target': '対象:',
+
+        'balance.eachTeam': '各チーム:',
+        'balance.kind.max': '最大',
+        'balance.kind.min': '最低',
+        'balance.range.short': '短射程',
+        'balance.range.mid': '中射程',
+        'balance.range.long': '長射程',
+        'balance.addRule': '+ ルールを追加',
+        'balance.removeRule': 'ルールを削除',
+        'balance.unsatisfied': 'すべての編成ルールを満たす組み合わせが見つからなかったため、最も近い編成にしました',
+
+        'itemChanges.title': 'データが更新されました',
+        'itemChanges.addedIncluded': '{type}が{count}件追加されました (選択に追加済み): {names}',
+        'itemChanges.addedExcluded': '{type}が{count}件追加されました (未選択): {names}',
+        'itemChanges.removed': '{type}が{count}件削除されました: {names}',
+        'itemChanges.dismiss': '閉じる',
+
+        'results.title': 'ルーレット実行',
+        'results.runAll': 'すべてルーレット',
+        'results.teamOnly': 'チーム分けのみ',
+        'results.ruleOnly': 'ルールのみ',
+        'results.stageOnly': 'ステージのみ',
+        'results.weaponOnly': 'ブキのみ',
+        'results.heading': 'ルーレット結果',
+        'results.lock': '固定する (再抽選しない)',
+        'results.unlock': '固定を解除',
+        'results.reroll': 'これだけ再抽選',
+        'roulette.noItems': '利用可能な{type}がありません',
+        'seed.label': 'シード:',
+        'seed.placeholder': '空欄でランダム',
+        'seed.display': 'シード: {seed} ({scope})',
+        'seed.reuse': 'このシードで再現するには、シード欄をクリック',
+        'seed.scope.all': 'すべて',
+        'seed.scope.teams': 'チーム分け',
+        'seed.scope.rule': 'ルール',
+        'seed.scope.stage': 'ステージ',
+        'seed.scope.weapon': 'ブキ',
+        'seed.replayNote': '※シードから再現するときは{features}を反映しません',
+        'seed.feature.antiRepeat': '直近の結果',
+        'seed.feature.bag': 'バッグモード',
+        'seed.feature.sitOut': '観戦の交代',
+        'bag.progress': '{drawn}/{total}',
+        'bag.reset': 'リセット',
+        'roulette.duplicateFallback': '選択中のブキ ({count}種) が人数 ({players}人) より少ないため、一部のブキが重複しています',
+
+        'footer.credit': 'データ出典:',
+        'footer.language': '言語:',
+        'footer.dataSource': 'データソース:',
+        'footer.importJson': 'JSONを読み込む',
+        'footer.autoRefresh': '自動更新:',
+        'footer.autoRefresh.6h': '6時間ごと',
+        'footer.autoRefresh.1d': '1日ごと',
+        'footer.autoRefresh.3d': '3日ごと',
+        'footer.autoRefresh.7d': '7日ごと',
+        'footer.autoRefresh.never': 'しない',
+        'footer.refresh': '🔄 データ更新',
+        'dataSource.statink': 'stat.ink',
+        'dataSource.local': 'ローカルファイル',
+
+        'status.loading': '読み込み中...',
+        'status.loadError': 'エラー: データを読み込めません',
+        'status.refreshing': '更新中...',
+        'status.refreshFailed': '更新に失敗しました',
+        'status.bundled': '同梱データで動作中 ({version} 時点)',
+        'status.partialError': '一部のデータを更新できませんでした',
+        'status.lastUpdated': '最終更新: {time} ({source})',
+        'status.lastUpdatedUnknown': '最終更新: 不明',
+        'status.noData': 'データなし',
+        'status.bundledEntry': '同梱データ ({version})',
+        'status.fresh': '最新 ({time})',
+        'status.stale': '古いデータ ({time})',
+        'status.staleUnknown': '古いデータ (取得日時不明)',
+        'status.fetchFailed': ' - 取得失敗',
+        'status.bundledNotice': 'stat.ink に接続できないため、同梱データ ({version} 時点) を使用しています。接続が回復すると自動で最新データに切り替わります。',
+
+        'import.failed': 'ファイルを読み込めませんでした: {message}',
+        'import.notObject': 'JSONオブジェクトではありません',
+        'import.invalidType': '{type}の形式が正しくありません',
+        'import.empty': 'rules / stages / weapons のいずれも含まれていません'
+    },
+    en: {
+        'app.title': 'Splatoon 3 Roulette',
+        'common.apply': 'Apply',
+        'common.selectAll': 'All',
+        'type.rule': 'Mode',
+        'type.stage': 'Stage',
+        'type.weapon': 'Weapon',
+
+        'member.title': 'Members',
+        'member.count': 'Players:',
+        'member.countOption': '{n}',
+        'member.defaultName': 'Player {n}',
+        'member.attending': 'Playing today',
+        'member.add': '+ Add member',
+        'member.remove': 'Remove member',
+        'member.countWithSpectators': '{n} ({spectators} spectate each round)',
+        'member.playersPerRound': 'Player slots:',
+        'lobby.spectators': 'Spectating: {names}',
+        'member.rating': 'Rating (optional)',
+        'member.ratingHint': 'A number such as X Power or a skill level, used when balancing teams by rating',
+        'team.division': 'Split into teams',
+        'team.ratingBalance': 'Balance teams by rating',
+        'team.ratingTolerance': 'Allowed rating difference:',
+        'team.count': 'Teams:',
+        'team.countOption': '{n} teams',
+        'team.tricolorNote': '(Tricolor Turf War is always split into 3 teams, even with team division off)',
+        'rating.summary': '{team}: total {total} (average {average})',
+        'constraints.title': 'Team division constraints',
+        'constraints.and': 'and',
+        'constraints.type.together': 'on the same team',
+        'constraints.type.apart': 'on different teams',
+        'constraints.add': '+ Add constraint',
+        'constraints.remove': 'Remove constraint',
+        'constraints.sameMember': 'The same member is selected twice (ignored)',
+        'constraints.notPlaying': 'Ignored this round, as a member is not playing or is spectating',
+        'constraints.unsatisfiable': 'No team split satisfies all of the team division constraints. Please review them.',
+        'memberPool.summary.global': 'Weapons: global settings',
+        'memberPool.summary.narrow': 'Weapons: narrowed ({count})',
+        'memberPool.summary.override': 'Weapons: own list ({count})',
+        'memberPool.title': 'Weapons for {name}',
+        'memberPool.mode.global': 'Use the roulette settings',
+        'memberPool.mode.narrow': 'Narrow down the roulette settings',
+        'memberPool.mode.override': 'Use an own list instead',
+        'memberPool.selectAll': 'Select all',
+        'memberPool.deselectAll': 'Deselect all',
+        'memberPool.close': 'Close',
+        'memberPool.emptyFallback': 'None of the weapons for {name} are available, so the roulette settings were used',
+        'team.alpha': 'Alpha Team',
+        'team.bravo': 'Bravo Team',
+        'team.charlie': 'Charlie Team',
+        'team.delta': 'Delta Team',
+        'team.numbered': 'Team {n}',
+        'tricolor.noStages': 'No Tricolor Turf War stage is available, so a stage was picked from the selected stages',
+        'history.title': 'Match History',
+        'history.clear': 'Delete all history',
+        'history.confirmClear': 'Delete the whole match history?',
+        'history.more': 'Show more',
+        'history.count': '{count} entries (up to {max} are kept)',
+        'history.empty': 'No history yet. Each "Roll everything" is recorded here.',
+        'history.recordWinner': 'Record the result:',
+        'history.won': '{team} won',
+        'history.noResult': 'No result',
+        'history.delete': 'Delete this entry',
+        'history.edit': 'Edit the mode, stage, teams and weapons',
+        'history.doneEditing': 'Done',
+        'history.noTeam': 'No team',
+        'share.button': '🔗 Share results',
+        'share.copied': 'Link copied',
+        'share.copyManually': 'Copy the link to share it',
+        'share.noResults': 'There are no results to share',
+        'share.invalid': 'This share link is not valid',
+        'share.title': 'Shared results',
+        'share.seed': 'Seed: {seed}',
+        'share.close': 'Open my own roulette',
+        'image.download': '🖼 Save image',
+        'image.copy': '📋 Copy image',
+        'image.includeSeed': 'Include seed',
+        'image.includeTimestamp': 'Include date and time',
+        'image.copied': 'Image copied',
+        'image.copyUnsupported': 'This browser cannot copy images. Use "Save image" instead',
+        'image.copyFailed': 'Failed to copy the image',
+        'image.createFailed': 'Failed to create the image',
+        'historyExport.csv': 'Export CSV',
+        'historyExport.json': 'Export JSON',
+        'historyExport.empty': 'There is no history to export',
+        'historyImport.button': 'Import JSON',
+        'historyImport.notHistory': 'This is not a match history JSON file',
+        'historyImport.invalidEntry': 'Entry {n} is not in a valid format',
+        'historyImport.failed': 'Failed to import the history: {message}',
+        'historyImport.done': 'Added {added} entries and filled in {updated} results ({skipped} were already there)',
+        'historyImport.mappedMembers': 'Matched {count} players to members on this device by name',
+        'historyImport.trimmed': 'Only up to {max} entries are kept, so the {count} oldest were not saved',
+        'stats.title': 'Statistics',
+        'stats.view': 'Show:',
+        'stats.view.member': 'Win rate by member',
+        'stats.view.weapon': 'Win rate by weapon',
+        'stats.view.rule': 'Win rate by mode',
+        'stats.view.stage': 'Win rate by stage',
+        'stats.view.frequencyRule': 'Mode frequency',
+        'stats.view.frequencyStage': 'Stage frequency',
+        'stats.view.frequencyWeapon': 'Weapon frequency',
+        'stats.member': 'Member',
+        'stats.allMembers': 'Everyone',
+        'stats.games': 'Matches',
+        'stats.wins': 'Wins',
+        'stats.losses': 'Losses',
+        'stats.winRate': 'Win rate',
+        'stats.actual': 'Times rolled',
+        'stats.actualShare': 'Share',
+        'stats.expectedShare': 'Expected',
+        'stats.difference': 'Difference',
+        'stats.empty': 'No data',
+        'stats.decidedNote': 'Based on {count} matches with a recorded result',
+        'stats.frequencyNote': 'Compares {count} results in the history with the shares expected from the current filters, weights and member pools',
+
+        'filter.title': 'Roulette Settings',
+        'filter.basic': 'Basic settings',
+        'filter.groupBy': 'Group by:',
+        'filter.groupBy.type': 'Class',
+        'filter.groupBy.sub': 'Sub weapon',
+        'filter.groupBy.special': 'Special weapon',
+        'filter.group.other': 'Other',
+        'filter.search': 'Search (English / Japanese)',
+        'filter.selectMatching': 'Select matches',
+        'filter.deselectMatching': 'Deselect matches',
+        'filter.newItemPolicy': 'Newly added items:',
+        'filter.newItemPolicy.include': 'Include',
+        'filter.newItemPolicy.exclude': 'Exclude',
+
+        'options.title': 'Options',
+        'options.duplicate': 'Duplicate weapons:',
+        'options.duplicate.none': 'Allowed',
+        'options.duplicate.lobby': 'Unique across the lobby',
+        'options.duplicate.team': 'Unique within each team',
+        'options.teamBalance': 'Balance team weapon composition (with teams)',
+        'options.weights': 'Per-item weights (set in the filter lists)',
+        'options.antiRepeat': 'Recent results:',
+        'options.antiRepeat.off': 'Ignore',
+        'options.antiRepeat.soft': 'Less likely',
+        'options.antiRepeat.strict': 'Exclude',
+        'options.antiRepeatCount': 'Last',
+        'options.antiRepeatCountSuffix': 'rolls',
+        'options.resetRecent': 'Reset history',
+        'options.showOdds': 'Show odds',
+        'options.tricolorStages': 'Tricolor Turf War stages',
+
+        'options.bagMode': 'Bag mode (each member gets every selected weapon once before any repeats)',
+
+        'weights.title': 'Weight',
+        'odds.target': 'Target:',
+
+        'balance.eachTeam': 'Each team:',
+        'balance.kind.max': 'at most',
+        'balance.kind.min': 'at least',
+        'balance.range.short': 'Short range',
+        'balance.range.mid': 'Mid range',
+        'balance.range.long': 'Long range',
+        'balance.addRule': '+ Add rule',
+        'balance.removeRule': 'Remove rule',
+        'balance.unsatisfied': 'No combination satisfied every composition rule, so the closest one was used',
+
+        'itemChanges.title': 'The data has been updated',
+        'itemChanges.addedIncluded': '{count} new {type} item(s) added to the selection: {names}',
+        'itemChanges.addedExcluded': '{count} new {type} item(s), not selected: {names}',
+        'itemChanges.removed': '{count} {type} item(s) removed: {names}',
+        'itemChanges.dismiss': 'Dismiss',
+
+        'results.title': 'Roulette',
+        'results.runAll': 'Roll everything',
+        'results.teamOnly': 'Teams only',
+        'results.ruleOnly': 'Mode only',
+        'results.stageOnly': 'Stage only',
+        'results.weaponOnly': 'Weapons only',
+        'results.heading': 'Results',
+        'results.lock': 'Lock (keep on re-rolls)',
+        'results.unlock': 'Unlock',
+        'results.reroll': 'Re-roll just this',
+        'roulette.noItems': 'No {type} available',
+        'seed.label': 'Seed:',
+        'seed.placeholder': 'Leave empty for random',
+        'seed.display': 'Seed: {seed} ({scope})',
+        'seed.reuse': 'Click to put this seed in the seed field for replaying',
+        'seed.scope.all': 'all',
+        'seed.scope.teams': 'teams',
+        'seed.scope.rule': 'mode',
+        'seed.scope.stage': 'stage',
+        'seed.scope.weapon': 'weapons',
+        'seed.replayNote': '* Replaying this seed leaves out {features}',
+        'seed.feature.antiRepeat': 'recent results',
+        'seed.feature.bag': 'bag mode',
+        'seed.feature.sitOut': 'sit-out rotation',
+        'bag.progress': '{drawn}/{total}',
+        'bag.reset': 'Reset',
+        'roulette.duplicateFallback': 'Only {count} weapon(s) are selected for {players} players, so some weapons are duplicated',
+
+        'footer.credit': 'Data from:',
+        'footer.language': 'Language:',
+        'footer.dataSource': 'Data source:',
+        'footer.importJson': 'Import JSON',
+        'footer.autoRefresh': 'Auto refresh:',
+        'footer.autoRefresh.6h': 'Every 6 hours',
+        'footer.autoRefresh.1d': 'Daily',
+        'footer.autoRefresh.3d': 'Every 3 days',
+        'footer.autoRefresh.7d': 'Weekly',
+        'footer.autoRefresh.never': 'Never',
+        'footer.refresh': '🔄 Refresh data',
+        'dataSource.statink': 'stat.ink',
+        'dataSource.local': 'Local file',
+
+        'status.loading': 'Loading...',
+        'status.loadError': 'Error: could not load data',
+        'status.refreshing': 'Refreshing...',
+        'status.refreshFailed': 'Refresh failed',
+        'status.bundled': 'Running on bundled data (as of {version})',
+        'status.partialError': 'Some data could not be refreshed',
+        'status.lastUpdated': 'Last updated: {time} ({source})',
+        'status.lastUpdatedUnknown': 'Last updated: unknown',
+        'status.noData': 'No data',
+        'status.bundledEntry': 'Bundled data ({version})',
+        'status.fresh': 'Up to date ({time})',
+        'status.stale': 'Outdated ({time})',
+        'status.staleUnknown': 'Outdated (fetch time unknown)',
+        'status.fetchFailed': ' - fetch failed',
+        'status.bundledNotice': 'stat.ink is unreachable, so bundled data (as of {version}) is being used. Live data will be loaded automatically once the connection is back.',
+
+        'import.failed': 'Could not import the file: {message}',
+        'import.notObject': 'Not a JSON object',
+        'import.invalidType': 'Invalid {type} data',
+        'import.empty': 'The file contains none of rules / stages / weapons'
+    }
+};